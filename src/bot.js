@@ -2,25 +2,39 @@ import 'dotenv/config';
 import express from 'express';
 import bodyParser from 'body-parser';
 import { google } from 'googleapis';
-import { Bot, InlineKeyboard, session } from 'grammy';
+import { Bot, InlineKeyboard, InputFile, session, webhookCallback } from 'grammy';
 import { Calendar } from 'grammy-calendar';
 import dayjs from 'dayjs';
-import axios from 'axios';
-import { wrapper } from 'axios-cookiejar-support';
-import XLSX from 'xlsx';
-import { fileURLToPath } from 'url';
 import levenshtein from 'js-levenshtein';
-import * as chrono from 'chrono-node';
-import {  getRefreshToken, saveRefreshToken, getFlyfoneCreds, deleteSheet, deleteFlyfoneCreds, getSession, deleteSession, saveFlyfoneCreds, saveSession, saveSheet, getSheet, loadCookies, saveCookies, deleteRefreshToken, removeAllCookies } from './state.js';
-
-
-console.log('⚙️  Env:', {
+import { splitDateArgs, formatRange } from './dates.js';
+import { buildExportFile } from './report.js';
+import { FlyfoneClient, FLYFONE_BASE } from './flyfone.js';
+import { cachedReport, invalidateReports } from './report-cache.js';
+import { parseFilterArgs, describeFilters, FILTER_USAGE } from './filters.js';
+import { exportCallsToSheet, writeHourlyTab, TAB_STRATEGIES, HOURLY_TAB } from './gsheets.js';
+import { summarizeCalls, formatAgentStats, rankAgents, findMetric, LEADERBOARD_METRICS, hourlyBreakdown, formatHourlyChart } from './stats.js';
+import {  getRefreshToken, saveRefreshToken, getFlyfoneCreds, getFlyfoneAccounts, newAccountId, setActiveFlyfoneAccount, renameFlyfoneAccount, deleteFlyfoneAccount, deleteSheet, deleteFlyfoneCreds, getSession, deleteSession, saveFlyfoneCreds, saveSession, saveSheet, getSheet, deleteRefreshToken, removeAllCookies, getTeamSheets, saveTeamSheets, getTabStrategy, saveTabStrategy, getHourlyTab, saveHourlyTab, getSchedules, saveSchedule, deleteSchedule, deleteSchedules, getKpiRules, getAllKpiRules, saveKpiRule, deleteKpiRule, deleteKpiRules, getGroupOwner, saveGroupOwner, deleteGroupOwner, pingStorage } from './state.js';
+import { startScheduler, registerJob, unregisterJob, parseScheduleArgs, newJob, startKpiPoller, nowInScheduleTz } from './scheduler.js';
+import { log, withLogContext } from './logger.js';
+import { inc, getLastFlyfoneLogin, renderMetrics } from './metrics.js';
+import { createOAuthState, verifyOAuthState, OAuthStateError } from './oauth-state.js';
+import { FLOWS, startFlow, advanceFlow, endFlow, inFlow, isExpired, describeStep, describeExpired } from './conversation.js';
+import { parseKpiArgs, newKpiRule, describeKpiRule, findLaggingAgents, markFired, KPI_METRICS } from './kpi.js';
+
+
+log.info('Env', {
   BOT_TOKEN:    !!process.env.BOT_TOKEN,
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'supabase',
+  FLYFONE_BASE,
   SUPABASE_URL: !!process.env.SUPABASE_URL,
   SUPABASE_KEY: !!process.env.SUPABASE_KEY,
   GOOGLE_CLIENT_ID:     !!process.env.GOOGLE_CLIENT_ID,
   GOOGLE_CLIENT_SECRET: !!process.env.GOOGLE_CLIENT_SECRET,
   BOT_REDIRECT_URI:     !!process.env.BOT_REDIRECT_URI,
+  OAUTH_STATE_SECRET:   !!process.env.OAUTH_STATE_SECRET,
+  WEBHOOK_URL:          !!process.env.WEBHOOK_URL,
+  WEBHOOK_SECRET:       !!process.env.WEBHOOK_SECRET,
+  CREDS_ENCRYPTION_KEYS: !!process.env.CREDS_ENCRYPTION_KEYS,
 });
 // ── Shared in‑memory credentials store ─────────────────────────────────────────
 
@@ -31,197 +45,178 @@ const {
   GOOGLE_CLIENT_SECRET,
   BOT_REDIRECT_URI,
   PORT = 6565,
+  // Set WEBHOOK_URL (public https base URL) to receive updates by webhook
+  // instead of long polling; Telegram then posts to WEBHOOK_URL + WEBHOOK_PATH
+  WEBHOOK_URL,
+  WEBHOOK_SECRET,
+  WEBHOOK_PATH = '/telegram',
 } = process.env;
 
+// Telegram echoes the secret in a header; without it anyone could post updates
+if (WEBHOOK_URL && !/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET ?? '')) {
+  throw new Error('WEBHOOK_SECRET (1-256 chars of A-Z, a-z, 0-9, _ or -) is required when WEBHOOK_URL is set');
+}
+
 const oauth2Client = new google.auth.OAuth2(
   GOOGLE_CLIENT_ID,
   GOOGLE_CLIENT_SECRET,
   BOT_REDIRECT_URI
 );
 
-const FLYFONE_BASE = 'https://my.flyfonetalk.com';
-
 
 // ── Telegram bot setup ─────────────────────────────────────────────────────────
 const bot = new Bot(BOT_TOKEN);
+
+// Correlation fields on every log entry written while handling an update
+bot.use((ctx, next) => withLogContext({
+  updateId: ctx.update.update_id,
+  chatId:   ctx.chat?.id,
+  command:  ctx.message?.text?.match(/^\/(\w+)/)?.[1]
+    ?? (ctx.callbackQuery?.data && `callback:${ctx.callbackQuery.data.split(':')[0]}`),
+}, next));
 bot.use(session({ initial: () => ({ calendarOptions: {} }) }));
 const calendar = new Calendar(ctx => ctx.session.calendarOptions);
 bot.use(calendar);
 
+// Count every command for /metrics, including ones refused later on. Only
+// the commands registered below get their own label: anything a user types
+// is counted as “other”, so the number of series stays bounded.
+const METRIC_COMMANDS = new Set([
+  'start', 'cancel', 'mode', 'logout', 'accounts', 'sheet', 'tabs', 'fetch', 'team',
+  'agent', 'summary', 'leaderboard', 'hourly', 'export', 'refresh', 'schedule', 'kpi',
+]);
+
+bot.on('::bot_command', async (ctx, next) => {
+  const cmd = ctx.message?.text?.match(/^\/(\w+)/)?.[1].toLowerCase();
+  if (cmd) inc('commands_total', { command: METRIC_COMMANDS.has(cmd) ? cmd : 'other' });
+  return next();
+});
+
 function replyBold(ctx, text, extra = {}) {
   return ctx.reply(`<b>${text}</b>`, { parse_mode: 'HTML', ...extra });
 }
 
-// ── Google Sheets helpers ─────────────────────────────────────────────────────
-async function getSheetsClientForUser(chatId) {
-  try {
-    const refreshToken = await getRefreshToken(chatId);
-  if (refreshToken && typeof refreshToken === 'object') {
-    console.error('Corrupted token format detected - deleting invalid token');
-    await deleteRefreshToken(chatId);
-    throw new Error('Invalid token format - please reauthenticate');
-  }
+// ── Group chats ───────────────────────────────────────────────────────────────
+// A group reads from the Flyfone account of the admin who linked it. Per-user
+// state (creds, cookies, sheet) stays keyed by the user's id; the group's own
+// session (leaderboard pages, loaded calls) is keyed by the group's chat id.
+const GROUP_COMMANDS = ['start', 'logout', 'summary', 'agent', 'leaderboard', 'refresh'];
+const GROUP_NOT_LINKED = 'This group is not linked to a Flyfone account. A group admin can run /start here.';
 
-    const auth = new google.auth.OAuth2(
-      GOOGLE_CLIENT_ID, 
-      GOOGLE_CLIENT_SECRET, 
-      BOT_REDIRECT_URI
-    );
-    
-    auth.setCredentials({ refresh_token: refreshToken });
-    
-    // Return the actual sheets client
-    return google.sheets({ version: 'v4', auth });
-  } catch (err) {
-    console.error('Error creating Sheets client:', err);
-    throw new Error('Failed to create Sheets client');
-  }
+function isGroupChat(ctx) {
+  return ['group', 'supergroup'].includes(ctx.chat?.type);
 }
 
-async function writeToSheet(chatId, spreadsheetId, rows, overwrite = false) {
-  try {
-    const sheets = await getSheetsClientForUser(chatId);
-    const range = 'Sheet1!A1:Z';
-    if (overwrite) {
-      await sheets.spreadsheets.values.clear({ spreadsheetId, range });
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: 'Sheet1!A1',
-        valueInputOption: 'RAW',
-        resource: { values: rows },
-      });
-    } else {
-      await sheets.spreadsheets.values.append({
-        spreadsheetId,
-        range: 'Sheet1!A1',
-        valueInputOption: 'RAW',
-        insertDataOption: 'INSERT_ROWS',
-        resource: { values: rows },
-      });
-    }
-  } catch (err) {
-    console.error('Error writing to sheet:', err);
-    throw err;
-  }
+async function isGroupAdmin(ctx) {
+  const member = await ctx.getChatMember(ctx.from.id);
+  return ['creator', 'administrator'].includes(member.status);
 }
-// ── Flyfone scraping helpers ──────────────────────────────────────────────────
 
 /**
- * Returns an axios client with the user's cookies loaded from Supabase.
- * @param {number} chatId
- * @returns {Promise<AxiosInstance>}
+ * Whose Flyfone account this chat reads from: the user's own in a private
+ * chat, the linking admin's in a group (null if not linked).
+ * @returns {Promise<number|null>}
  */
-export async function getFlyfoneClient(chatId) {
-  console.log(`🔄 getFlyfoneClient: loading cookies for chatId=${chatId}`);
-  const jar = await loadCookies(chatId);
-  console.log(`✔️ loadCookies returned jar for chatId=${chatId}`, jar.constructor.name);
-  return wrapper(axios.create({ jar, withCredentials: true }));
+async function accountOwner(ctx) {
+  return isGroupChat(ctx) ? getGroupOwner(ctx.chat.id) : ctx.chat.id;
 }
 
+// In groups only the read-only commands run. Plain text never reaches the
+// credential prompts, and other commands point to the private chat.
+bot.chatType(['group', 'supergroup']).on('message', async (ctx, next) => {
+  const cmd = ctx.message.text?.match(/^\/(\w+)(?:@(\w+))?/);
+  if (!cmd) return;
+  if (cmd[2] && cmd[2].toLowerCase() !== ctx.me.username.toLowerCase()) return;
+  if (GROUP_COMMANDS.includes(cmd[1].toLowerCase())) return next();
+  return replyBold(ctx, `/${cmd[1]} only works in a private chat with me.`);
+});
 
-export async function ensureLoggedIn(chatId, email, password, client, jar) {
-  console.log(`↪️ ensureLoggedIn(${chatId}, ${email}, [password redacted])`);
+// ── Conversations ─────────────────────────────────────────────────────────────
+// Login and date picking are multi-step flows (see conversation.js). A step
+// left unanswered too long expires: a command goes ahead as usual, but an
+// answer meant for the expired step gets told so instead.
+const CANCEL_KB = new InlineKeyboard().text('✖️ Cancel', 'flow:cancel');
+
+bot.chatType('private').use(async (ctx, next) => {
+  const forFlow = (ctx.message && !ctx.message.text?.startsWith('/'))
+    || ctx.calendarSelectedDate
+    || ctx.callbackQuery?.data === 'rangeEnd:same';
+  if (!forFlow) return next();
+
+  const sess = await getSession(ctx.chat.id);
+  if (!sess?.flow || !isExpired(sess.flow)) return next();
+  const flow = endFlow(sess);
+  await saveSession(ctx.chat.id, sess);
+  if (ctx.callbackQuery && !ctx.calendarSelectedDate) await ctx.answerCallbackQuery();
+  return replyBold(ctx, describeExpired(flow));
+});
 
-  // 1. If already logged in, the dashboard will return 200
-  try {
-    await client.get(
-      `${FLYFONE_BASE}/dashboard`,
-      { maxRedirects: 0, validateStatus: s => s === 200 }
-    );
-    console.log('✅ Already logged in');
-    return;
-  } catch {
-    console.log('🔄 Not logged in, will fetch login page...');
-  }
+async function cancelFlow(chatId) {
+  const sess = await getSession(chatId);
+  const flow = endFlow(sess);
+  if (flow) await saveSession(chatId, sess);
+  return flow ? `Cancelled the ${FLOWS[flow.name].label}.` : 'Nothing to cancel.';
+}
 
-  // 2. Fetch login page to get CSRF token
-  let loginPage;
-  try {
-    loginPage = await client.get(
-      `${FLYFONE_BASE}/login`,
-      { validateStatus: s => s === 200 }
-    );
-    console.log('✅ Loaded login page');
-  } catch (err) {
-    console.error('❌ Failed to load login page:', err);
-    throw err;
-  }
+bot.command('cancel', async ctx => replyBold(ctx, await cancelFlow(ctx.chat.id)));
 
-  const match = loginPage.data.match(/name="csrf_webcall" value="([^"]+)"/);
-  if (!match) {
-    const err = new Error('CSRF token not found');
-    console.error('❌', err);
-    throw err;
-  }
-  const csrf = match[1];
+bot.callbackQuery('flow:cancel', async ctx => {
+  await ctx.answerCallbackQuery();
+  return ctx.editMessageText(`<b>${await cancelFlow(ctx.chat.id)}</b>`, { parse_mode: 'HTML' });
+});
 
-  // 3. POST credentials
-  let resp;
-  try {
-    resp = await client.post(
-      `${FLYFONE_BASE}/login`,
-      new URLSearchParams({ csrf_webcall: csrf, username: email, password: password }),
-      {
-        maxRedirects: 0,
-        validateStatus: s => [302, 303, 200].includes(s),
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          Referer: `${FLYFONE_BASE}/login`,
-          Origin: FLYFONE_BASE
-        }
-      }
-    );
-    console.log('➡️ Login POST status:', resp.status);
-    console.log(
-      '   Response snippet:',
-      typeof resp.data === 'string'
-        ? resp.data.slice(0, 200).replace(/\n/g, ' ')
-        : '[binary]'
-    );
-  } catch (err) {
-    console.error('❌ Login POST failed:', err);
-    throw err;
-  }
+// ── Flyfone scraping helpers ──────────────────────────────────────────────────
 
-  // 4. Detect wrong credentials
-  if (resp.status === 200 && resp.data.includes('password is incorrect')) {
-    const err = new Error('Incorrect email or password');
-    console.error('❌', err);
-    throw err;
-  }
+/**
+ * The report for `range`, from the report cache or downloaded with the
+ * account's stored session (see report-cache.js, flyfone.js).
+ * @param {number} chatId
+ * @param {{from: string, to: string}} range
+ * @param {{id: string, email: string, pass: string}} account see getFlyfoneCreds
+ * @param {object} [filters]
+ * @returns {Promise<{calls: object[], cachedAt: Date|null}>}
+ */
+async function fetchReport(chatId, range, account, filters = {}) {
+  return cachedReport(chatId, account.id, range, filters, async () => {
+    const client = await FlyfoneClient.forAccount(chatId, account);
+    return client.downloadReport(range.from, range.to, filters);
+  });
+}
+
+/**
+ * Calls for the range picked in the chat/sheet flow. The session keeps only
+ * the range; the calls come from the report cache, downloaded again if evicted.
+ * @returns {Promise<{calls: object[], cachedAt: Date|null}>}
+ */
+async function sessionReport(chatId, sess) {
+  if (!sess?.range) throw new Error('No date range loaded. Use /fetch.');
+  const creds = await getFlyfoneCreds(chatId, sess.accountId);
+  if (!creds) throw new Error('Flyfone account not found. Use /accounts or /start.');
+  return fetchReport(chatId, sess.range, creds, sess.filters);
+}
 
-  // 5. Persist cookies to Supabase
+// sessionReport for a button or command: on failure tell the user, as
+// /summary does, and return null
+async function sessionReportOrReply(ctx, sess) {
   try {
-    await saveCookies(chatId, jar);
-    console.log('✔️ saveCookies succeeded');
+    return await sessionReport(ctx.chat.id, sess);
   } catch (err) {
-    console.error('❌ saveCookies failed:', err);
-    throw err;
+    await replyBold(ctx, `Error fetching report: ${err.message}`);
+    return null;
   }
 }
 
+// Plain-text note for a report served from the cache
+function cacheNote(cachedAt) {
+  if (!cachedAt) return '';
+  const today = dayjs(cachedAt).isSame(dayjs(), 'day');
+  return ` · cached at ${dayjs(cachedAt).format(today ? 'HH:mm' : 'YYYY-MM-DD HH:mm')}, /refresh to reload`;
+}
 
-export async function downloadFlyfoneReport(chatId, dateStr, email, password, client, jar) {
-  await ensureLoggedIn(chatId, email, password, client, jar);
-
-  const qs = new URLSearchParams({
-    from_date: dateStr,
-    to_date: dateStr,
-    phone: '',
-    status: '0',
-    autodial_id: '',
-    team_id: '0'
-  }).toString();
-
-  const resp = await client.get(`${FLYFONE_BASE}/api/export/voice?${qs}`, {
-    headers: { Accept: 'application/vnd.ms-excel' },
-    responseType: 'arraybuffer'
-  });
-
-  if (resp.status !== 200) throw new Error(`Export failed: ${resp.status}`);
-
-  const wb = XLSX.read(resp.data, { type: 'buffer' });
-  return XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1 });
+// First line of every report: which Flyfone account the numbers come from,
+// and how old they are when they come from the cache
+function accountHeader(name, cachedAt = null) {
+  return name || cachedAt ? `<i>📇 ${name ?? ''}${cacheNote(cachedAt)}</i>\n` : '';
 }
 
 // ── In‑memory session storage ─────────────────────────────────────────────────
@@ -231,6 +226,8 @@ function withSessionGuard(handler) {
     const chatId = ctx.chat?.id || ctx.from?.id;
     const sess = await getSession(chatId);
     if (!sess) {
+      // Groups have no login flow to restart; their session starts empty
+      if (isGroupChat(ctx)) return handler(ctx, ...args);
       await ctx.reply('<b>Session expired! Restarting...</b>', { parse_mode: 'HTML' });
       // Simulate /start command
       await deleteSession(chatId);
@@ -247,23 +244,11 @@ function withSessionGuard(handler) {
   };
 }
 
-// Parse “YYYY-MM-DD”, “today”, “yesterday”, or free text like “July 1, 2025”
-function parseDateInput(input) {
-  const txt = input?.trim().toLowerCase();
-  if (txt === 'today')     return new Date();
-  if (txt === 'yesterday') return new Date(Date.now() - 864e5);
-  // Try strict ISO
-  const iso = dayjs(txt, 'YYYY-MM-DD', true);
-  if (iso.isValid()) return iso.toDate();
-  // Fallback to chrono‑node
-  const results = chrono.parse(txt);
-  return results[0]?.start?.date() ?? null;
-}
-
 // ─────────────────────────────────────────────────────────────────────────────
 // 1) /start → Pick mode
 // ─────────────────────────────────────────────────────────────────────────────
 bot.command('start', async ctx => {
+  if (isGroupChat(ctx)) return linkGroup(ctx);
   const chatId = ctx.chat.id;
   const existingCreds = await getFlyfoneCreds(chatId);
   if (existingCreds) {
@@ -278,20 +263,40 @@ bot.command('start', async ctx => {
     });
   } else {
   await deleteSession(chatId);
-  await deleteFlyfoneCreds(chatId); // fresh start
 
-  const sess = { step: 'await_email' };
+  const sess = {};
+  startFlow(sess, 'login');
   await saveSession(chatId, sess);
-  return replyBold(ctx, 'Enter your Flyfone email:');
+  return replyBold(ctx, 'Enter your Flyfone email:', { reply_markup: CANCEL_KB });
 }});
 
+// /start in a group: an admin links it to their own Flyfone account. The
+// login itself only ever happens in the admin's private chat.
+async function linkGroup(ctx) {
+  if (!await isGroupAdmin(ctx)) {
+    return replyBold(ctx, 'Only a group admin can set me up here.');
+  }
+  const adminId = ctx.from.id;
+  await saveGroupOwner(ctx.chat.id, adminId);
+  await deleteSession(ctx.chat.id);
+
+  if (await getFlyfoneCreds(adminId)) {
+    return replyBold(ctx, 'Group linked to your Flyfone account!\n\nMembers can now use /summary, /agent and /leaderboard.');
+  }
+  const kb = new InlineKeyboard().url('Log in privately', `https://t.me/${ctx.me.username}?start=login`);
+  return ctx.reply(
+    '<b>Group linked!</b> Now log in to Flyfone in a private chat with me.\n' +
+    'Members can use /summary, /agent and /leaderboard once you have.',
+    { parse_mode: 'HTML', reply_markup: kb }
+  );
+}
+
 bot.callbackQuery(/^linkSheet:yes$/, async ctx => {
   const chatId = ctx.chat.id;
   await saveSession(chatId, {
     ...await getSession(chatId),
     connectSheet: true,
     mode: 'sheet',
-    step: 'await_sheet_url'
   });
   await ctx.answerCallbackQuery();
   return replyBold(ctx, 'Please send your Sheet URL using:\n\n "/sheet + &lt;URL/ID&gt;"');
@@ -358,15 +363,28 @@ bot.command('mode', async ctx => {
 // ─────────────────────────────────────────────────────────────────────────────
 bot.command('logout', async ctx => {
   const chatId = ctx.chat.id;
+
+  // In a group this only unlinks the group; the admin stays logged in
+  if (isGroupChat(ctx)) {
+    if (!await isGroupAdmin(ctx)) {
+      return replyBold(ctx, 'Only a group admin can unlink me.');
+    }
+    await Promise.all([deleteGroupOwner(chatId), deleteSession(chatId)]);
+    return replyBold(ctx, 'Group unlinked. A group admin can run /start to link it again.');
+  }
   
   // Clear all user data
+  (await getSchedules(chatId)).forEach(j => unregisterJob(chatId, j.id));
   await Promise.all([
+    deleteSchedules(chatId),
+    deleteKpiRules(chatId),
     deleteFlyfoneCreds(chatId),
     deleteRefreshToken(chatId),
     deleteSession(chatId),
     removeAllCookies(chatId),
     deleteSheet(chatId)
   ]);
+  invalidateReports({ chatId });
 
   return ctx.reply(
     '<b>You’ve been logged out.</b>\n\n' + 
@@ -376,6 +394,109 @@ bot.command('logout', async ctx => {
   );
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// /accounts: several Flyfone logins per user, one of them active
+// ─────────────────────────────────────────────────────────────────────────────
+const ACCOUNTS_USAGE =
+  '<b>Usage:</b>\n' +
+  '<code>/accounts</code> list and switch\n' +
+  '<code>/accounts add [name]</code>\n' +
+  '<code>/accounts name &lt;id&gt; &lt;new name&gt;</code>\n' +
+  '<code>/accounts use &lt;id&gt;</code>\n' +
+  '<code>/accounts remove &lt;id&gt;</code>';
+
+bot.command('accounts', async ctx => {
+  const chatId = ctx.chat.id;
+  const [sub = 'list', id, ...rest] = ctx.message.text.split(/\s+/).slice(1);
+  const accounts = await getFlyfoneAccounts(chatId);
+  const account  = accounts.find(a => a.id === id);
+
+  if (sub === 'list') {
+    if (accounts.length === 0) {
+      return ctx.reply('<b>No Flyfone accounts.</b>\n\n' + ACCOUNTS_USAGE, { parse_mode: 'HTML' });
+    }
+    const lines = accounts.map(a =>
+      `${a.active ? '✅' : '•'} <code>${a.id}</code> <b>${a.name}</b> (${a.email})`
+    );
+    const kb = new InlineKeyboard();
+    accounts.filter(a => !a.active).forEach(a => kb.text(`Switch to ${a.name}`, `account:${a.id}`).row());
+    return ctx.reply(['<b>Flyfone accounts:</b>', ...lines, '', ACCOUNTS_USAGE].join('\n'), {
+      parse_mode: 'HTML',
+      reply_markup: kb
+    });
+  }
+
+  if (sub === 'add') {
+    const name = [id, ...rest].filter(Boolean).join(' ');
+    const sess = await getSession(chatId) || {};
+    startFlow(sess, 'login', { newAccount: { name } });
+    await saveSession(chatId, sess);
+    return replyBold(ctx, `Enter the Flyfone email for ${name ? `“${name}”` : 'the new account'}:`, { reply_markup: CANCEL_KB });
+  }
+
+  if (!['name', 'rename', 'use', 'switch', 'remove', 'delete'].includes(sub)) {
+    return ctx.reply(ACCOUNTS_USAGE, { parse_mode: 'HTML' });
+  }
+  if (!account) {
+    return replyBold(ctx, `No Flyfone account with id "${id || ''}". See /accounts.`);
+  }
+
+  if (sub === 'name' || sub === 'rename') {
+    const name = rest.join(' ').trim();
+    if (!name) return ctx.reply(ACCOUNTS_USAGE, { parse_mode: 'HTML' });
+    await renameFlyfoneAccount(chatId, account.id, name);
+    return replyBold(ctx, `Account ${account.id} is now called “${name}”.`);
+  }
+
+  if (sub === 'use' || sub === 'switch') {
+    return switchAccount(ctx, account);
+  }
+
+  await deleteFlyfoneAccount(chatId, account.id);
+  invalidateReports({ chatId, accountId: account.id });
+  // Scheduled exports and KPI alerts bound to it have nothing left to read
+  const jobs  = (await getSchedules(chatId)).filter(j => j.accountId === account.id);
+  const rules = (await getKpiRules(chatId)).filter(r => r.accountId === account.id);
+  for (const job of jobs) {
+    unregisterJob(chatId, job.id);
+    await deleteSchedule(chatId, job.id);
+  }
+  for (const rule of rules) await deleteKpiRule(chatId, rule.id);
+  const active = await getFlyfoneCreds(chatId);
+  return replyBold(
+    ctx,
+    `Account “${account.name}” removed.` +
+    (jobs.length ? `
+Also removed ${jobs.length} scheduled export(s).` : '') +
+    (rules.length ? `
+Also removed ${rules.length} KPI alert(s).` : '') +
+    (active ? `\nActive account: ${active.name}` : '\nNo accounts left. Use /start to log in.')
+  );
+});
+
+bot.callbackQuery(/^account:(\w+)$/, async ctx => {
+  await ctx.answerCallbackQuery();
+  const account = (await getFlyfoneAccounts(ctx.chat.id)).find(a => a.id === ctx.match[1]);
+  if (!account) return replyBold(ctx, 'That account no longer exists. See /accounts.');
+  return switchAccount(ctx, account);
+});
+
+// Calls loaded for the previous account must not mix with the new one
+async function switchAccount(ctx, account) {
+  const chatId = ctx.chat.id;
+  await setActiveFlyfoneAccount(chatId, account.id);
+  const sess = await getSession(chatId);
+  if (sess) {
+    delete sess.calls;
+    delete sess.range;
+    delete sess.accountId;
+    delete sess.selectedTeam;
+    delete sess.leaderboard;
+    await saveSession(chatId, sess);
+  }
+  return replyBold(ctx, `Active account: ${account.name}`);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // 2) /setSheet → only in Sheet-mode
 // ─────────────────────────────────────────────────────────────────────────────
@@ -387,32 +508,52 @@ bot.command('sheet', async ctx => {
     return replyBold(ctx, 'Not in Sheet mode. Use /mode to switch.');
   }
 
-  const input   = (ctx.message.text.split(' ')[1] || '').trim();
+  // /sheet [team…] <URL/ID>: the last word is the sheet, any words before it a team
+  const parts   = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  const input   = parts[parts.length - 1] || '';
+  const team    = parts.slice(0, -1).join(' ').toLowerCase();
   const m       = input.match(/\/d\/([A-Za-z0-9_-]+)/);
   const sheetId = m
     ? m[1]
     : (/^[A-Za-z0-9-_]+$/.test(input) ? input : null);
 
+  // /sheet <team> off → the team goes back to the default sheet
+  if (team && ['off', 'remove'].includes(input.toLowerCase())) {
+    const teamSheets = await getTeamSheets(chatId);
+    if (!teamSheets[team]) return replyBold(ctx, `Team “${team}” has no sheet of its own.`);
+    delete teamSheets[team];
+    await saveTeamSheets(chatId, teamSheets);
+    return replyBold(ctx, `Team “${team}” will use the default sheet again.`);
+  }
+
   if (!sheetId) {
     return replyBold(
       ctx,
       '<code>/sheet URL/ID</code>\n\n' +
       'Click & copy then replace the &lt;URL/ID&gt; with yours.\n' +
-      'e.g. "/sheet https://docs.google.com/spreadsheets/d/xyz..."',
+      'e.g. "/sheet https://docs.google.com/spreadsheets/d/xyz..."\n\n' +
+      'Give a team its own sheet with "/sheet &lt;team&gt; &lt;URL/ID&gt;" ' +
+      'and undo it with "/sheet &lt;team&gt; off".' +
+      await describeSheetMap(chatId),
       { parse_mode: 'HTML' }
     );
   }
 
   const creds = await getRefreshToken(chatId);
-  await saveSession(chatId, { ...sess, sheetId });
-  await saveSheet(chatId, sheetId);
+  if (team) {
+    await saveTeamSheets(chatId, { ...await getTeamSheets(chatId), [team]: sheetId });
+  } else {
+    await saveSession(chatId, { ...sess, sheetId });
+    await saveSheet(chatId, sheetId);
+  }
+  const linked = team ? `Sheet linked for team “${team}”!` : 'Sheet linked!';
 
-  if (creds?.refresh_token) {
-    return replyBold(ctx, 'Sheet linked! Now use /fetch to export.');
+  if (creds) {
+    return replyBold(ctx, `${linked} Now use /fetch to export.`);
   }
 
   // Not authorized — prompt OAuth now
-  const state = encodeURIComponent(JSON.stringify({ chatId }));
+  const state = await createOAuthState(chatId);
 
   const consentUrl = oauth2Client.generateAuthUrl({
     access_type: 'offline',
@@ -432,6 +573,69 @@ bot.command('sheet', async ctx => {
 });
 // ◀───────────────
 
+// Sheet a team's rows go to: its own, else the default one
+async function sheetForTeam(chatId, teamKey) {
+  return (await getTeamSheets(chatId))[teamKey] ?? await getSheet(chatId);
+}
+
+// Whether sheet exports have anywhere to go
+async function hasSheet(chatId) {
+  return !!await getSheet(chatId) || Object.keys(await getTeamSheets(chatId)).length > 0;
+}
+
+// “Default: … / Sales: …” listing for /sheet, or '' without sheets
+async function describeSheetMap(chatId) {
+  const link = id => `<a href="https://docs.google.com/spreadsheets/d/${id}">${id.slice(0, 10)}…</a>`;
+  const defaultSheet = await getSheet(chatId);
+  const lines = Object.entries(await getTeamSheets(chatId)).map(([team, id]) => `• ${team}: ${link(id)}`);
+  if (!defaultSheet && lines.length === 0) return '';
+  return '\n\nLinked sheets:\n' +
+    `• default: ${defaultSheet ? link(defaultSheet) : 'none'}\n` +
+    lines.join('\n');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /tabs: how exports are spread over tabs of the linked sheet
+// ─────────────────────────────────────────────────────────────────────────────
+const TAB_STRATEGY_LABELS = {
+  single: 'One tab (Sheet1)',
+  date:   'One tab per date',
+  team:   'One tab per team',
+  month:  'One tab per month',
+};
+
+bot.command('tabs', async ctx => {
+  const chatId = ctx.chat.id;
+  if (!await hasSheet(chatId)) {
+    return replyBold(ctx, 'Missing sheet. Use "/sheet + <URL/ID>" first.');
+  }
+
+  const arg = (ctx.message.text.split(/\s+/)[1] || '').toLowerCase();
+  if (arg) {
+    if (!TAB_STRATEGIES.includes(arg)) {
+      return replyBold(ctx, `Unknown tab strategy. Use one of: ${TAB_STRATEGIES.join(', ')}`);
+    }
+    await saveTabStrategy(chatId, arg);
+    return replyBold(ctx, `Tabs: ${TAB_STRATEGY_LABELS[arg]}`);
+  }
+
+  const current = await getTabStrategy(chatId);
+  const kb = new InlineKeyboard();
+  TAB_STRATEGIES.forEach(t => kb.text(`${t === current ? '✅ ' : ''}${TAB_STRATEGY_LABELS[t]}`, `tabs:${t}`).row());
+  return ctx.reply('<b>How should exports be split into tabs?</b>', {
+    parse_mode: 'HTML',
+    reply_markup: kb
+  });
+});
+
+bot.callbackQuery(/^tabs:(\w+)$/, async ctx => {
+  const strategy = ctx.match[1];
+  if (!TAB_STRATEGIES.includes(strategy)) return ctx.answerCallbackQuery();
+  await saveTabStrategy(ctx.chat.id, strategy);
+  await ctx.answerCallbackQuery();
+  return ctx.editMessageText(`<b>Tabs: ${TAB_STRATEGY_LABELS[strategy]}</b>`, { parse_mode: 'HTML' });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // 3) /fetch → dispatch to the correct flow
 // ─────────────────────────────────────────────────────────────────────────────
@@ -440,11 +644,18 @@ bot.command('fetch', async ctx => {
 const sess = await getSession(chatId) || {};
 const creds = await getFlyfoneCreds(chatId);
     // If they already linked a sheet, default to sheet‑mode
-  const linkedSheet = await getSheet(chatId);
+  const linkedSheet = await hasSheet(chatId);
   const mode = sess.mode || (linkedSheet ? 'sheet' : null);
   if (!creds) return replyBold(ctx, 'You are not logged in. Use /start.');
   if (!mode) return replyBold(ctx, 'No mode selected. Use /mode to pick one.');
 
+  // Optional export filters, e.g. “/fetch status=answer autodial=12”
+  const { filters, unknown } = parseFilterArgs(ctx.message.text.split(/\s+/).slice(1));
+  if (unknown.length) {
+    return ctx.reply(`<b>Unknown filter: ${unknown.join(', ')}</b>\n${FILTER_USAGE}`, { parse_mode: 'HTML' });
+  }
+  await saveSession(chatId, { ...sess, filters });
+
   if (mode === 'sheet') {
     // pull the sheetId from sheetMap instead of sessionMap
     if (!linkedSheet) {
@@ -456,138 +667,190 @@ const creds = await getFlyfoneCreds(chatId);
 
 
 // ─────────────────────────────────────────────────────────────────────────────
-// 4A) Sheet-mode flow: ask creds → calendar
+// 4A) Sheet-mode flow: ask creds → calendar (start date, then end date)
 // ─────────────────────────────────────────────────────────────────────────────
 async function beginSheetFlow(ctx) {
   const chatId = ctx.chat.id;
   const sess   = await getSession(chatId);
-  const sheetId= await getSheet(chatId);
-  if (!sheetId) return replyBold(ctx, 'Send /sheet first.');
+  if (!await hasSheet(chatId)) return replyBold(ctx, 'Send /sheet first.');
 
 const creds = await getFlyfoneCreds(chatId);
 
 if (!creds) return replyBold(ctx, 'You are not logged in. Use /start to log in.');
 
-  sess.step = 'sheet_await_date';
+  startFlow(sess, 'range', { target: 'sheet' });
   await saveSession(chatId, sess);
-  console.log('💡 [DEBUG] beginSheetFlow skipping creds, step=sheet_await_date');
   ctx.session.calendarOptions = { defaultDate: dayjs().subtract(1, 'day').toDate() };
-return ctx.reply('<b>Please choose a date:</b>', {
+return ctx.reply('<b>Please choose the start date:</b>', {
   reply_markup: calendar,
   parse_mode: 'HTML',
 });
 }
 
-// Calendar handler for Sheet-mode
-bot.filter(
-  async ctx => {
-    if (!ctx.calendarSelectedDate) return false;
-    const session = await getSession(ctx.chat.id);
-    return session?.step === 'sheet_await_date';
-  },
-  async ctx => {
-    const chatId = ctx.chat.id;
-    const sess = await getSession(chatId);
-    const { email, pass } = await getFlyfoneCreds(chatId);
-    console.log('💡 [DEBUG-cal] creds for', chatId, await getFlyfoneCreds(chatId));
-    const dateStr = dayjs(ctx.calendarSelectedDate).format('YYYY-MM-DD');
-    replyBold(ctx, `Exporting calls for ${dateStr}…`);
-    return startFetchFlow(ctx, email, pass, await getSheet(chatId), dateStr);
-  }
-);// ─────────────────────────────────────────────────────────────────────────────
-// 4B) Chat-mode flow: unchanged
+// ─────────────────────────────────────────────────────────────────────────────
+// 4B) Chat-mode flow: calendar (start date, then end date)
 // ─────────────────────────────────────────────────────────────────────────────
 async function beginChatFlow(ctx) {
   const chatId = ctx.chat.id;
   const sess   = await getSession(chatId);
 
-const creds = await getFlyfoneCreds(chatId);
-
-sess.step = 'chat_await_date';
+  startFlow(sess, 'range', { target: 'chat' });
   await saveSession(chatId, sess);
   ctx.session.calendarOptions = { defaultDate: dayjs().subtract(1, 'day').toDate() };
 return replyBold(
   ctx,
-  'Select a date to view in chat:',
+  'Select the start date to view in chat:',
   { reply_markup: calendar }
 );
 }
 
+// First pick (both modes): remember the start date and ask for the end date
 bot.filter(
   async ctx => {
     if (!ctx.calendarSelectedDate) return false;
-    const session = await getSession(ctx.chat.id);
-    return session?.step === 'chat_await_date';
+    return inFlow(await getSession(ctx.chat.id), 'range', 'from');
   },
   async ctx => {
     const chatId = ctx.chat.id;
     const sess   = await getSession(chatId);
-    const dateStr = dayjs(ctx.calendarSelectedDate).format('YYYY-MM-DD');
-    replyBold(ctx, `Fetching calls for ${dateStr}…`);
-    const { email, pass } = await getFlyfoneCreds(chatId);
+    const from   = ctx.calendarSelectedDate;
+    advanceFlow(sess, 'to', { from: dayjs(from).format('YYYY-MM-DD') });
+    await saveSession(chatId, sess);
+
+    ctx.session.calendarOptions = {
+      defaultDate: from,
+      minDate: from,
+      shortcutButtons: [{ text: 'Just this day', callback_data: 'rangeEnd:same' }],
+    };
+    return replyBold(
+      ctx,
+      `Start: ${sess.flow.data.from}\nNow choose the end date:`,
+      { reply_markup: calendar }
+    );
+  }
+);
+
+// Second pick: a calendar date, or the “Just this day” shortcut
+bot.filter(
+  async ctx => {
+    if (!ctx.calendarSelectedDate) return false;
+    return inFlow(await getSession(ctx.chat.id), 'range', 'to');
+  },
+  ctx => finishRangePick(ctx, dayjs(ctx.calendarSelectedDate).format('YYYY-MM-DD'))
+);
 
-const jar = await loadCookies(chatId);
-const client = wrapper(axios.create({ jar, withCredentials: true }));
-const rows = await downloadFlyfoneReport(chatId, dateStr, email, pass, client, jar);
-    // Log the parsed XLSX data to the console for debugging
-    console.log('Parsed XLSX rows:', rows);
+// A date from a calendar that no step is waiting for
+bot.filter(ctx => !!ctx.calendarSelectedDate, async ctx => {
+  const sess = await getSession(ctx.chat.id);
+  return replyBold(ctx, sess?.flow
+    ? describeStep(sess.flow)
+    : 'This calendar is no longer active. Use /fetch to pick dates again.');
+});
 
-    await saveSession(chatId, { ...sess, rows, dateStr });
+bot.callbackQuery(/^rangeEnd:same$/, withSessionGuard(async ctx => {
+  const sess = await getSession(ctx.chat.id);
+  if (!inFlow(sess, 'range', 'to')) {
+    return ctx.answerCallbackQuery({ text: 'This calendar is no longer active. Use /fetch.', show_alert: true });
+  }
+  await ctx.answerCallbackQuery();
+  return finishRangePick(ctx, sess.flow.data.from);
+}));
 
-    const rawTeams = rows.slice(1).map(r => r[6] || '');
-    const teams    = Array.from(new Set(rawTeams));
-    const kb = new InlineKeyboard();
-    teams.forEach(t => kb.text(t, `chat_team:${t}`).row());
+async function finishRangePick(ctx, toStr) {
+  const chatId = ctx.chat.id;
+  const sess   = await getSession(chatId);
+  const { from, target } = endFlow(sess).data;
+  const range  = { from, to: toStr };
+  const label  = formatRange(range) + describeFilters(sess.filters);
+  await saveSession(chatId, sess);
 
-    return ctx.reply('<b>Select a team:</b>', {
-      parse_mode: 'HTML',
-      reply_markup: kb
-    });
+  const creds = await getFlyfoneCreds(chatId);
+
+  // Sheet mode
+  if (target === 'sheet') {
+    await replyBold(ctx, `Exporting calls for ${label}…`);
+    return startFetchFlow(ctx, creds, range, sess.filters);
   }
-);
+
+  // Chat mode
+  await replyBold(ctx, `Fetching calls for ${label}…`);
+
+  let calls;
+  try {
+    if (!creds) throw new Error('Flyfone account not found. Use /accounts or /start.');
+    ({ calls } = await fetchReport(chatId, range, creds, sess.filters));
+  } catch (err) {
+    return replyBold(ctx, `Error fetching report: ${err.message}`);
+  }
+  log.debug('Parsed call records', { count: calls.length });
+
+  await saveLoadedRange(chatId, { range, filters: sess.filters, dateStr: label, accountId: creds.id, accountName: creds.name });
+
+  return ctx.reply('<b>Select a team:</b>', {
+    parse_mode: 'HTML',
+    reply_markup: chatTeamsKeyboard(calls)
+  });
+}
+
+// Chat-mode pickers: teams → agents → stats, each with a way back up
+function chatTeamsKeyboard(calls) {
+  const kb = new InlineKeyboard();
+  Array.from(new Set(calls.map(c => c.team))).forEach(t => kb.text(t, `chat_team:${t}`).row());
+  return kb.text('⬅️ Change dates', 'dates:chat');
+}
+
+function chatAgentsKeyboard(calls, team) {
+  const kb = new InlineKeyboard();
+  Array.from(new Set(calls.filter(c => c.team === team).map(c => c.agent)))
+    .forEach(a => kb.text(a, `chat_agent:${team}|${a}`).row());
+  return kb.text('⬅️ Back to teams', 'chat_teams');
+}
+
+bot.callbackQuery(/^dates:(sheet|chat)$/, withSessionGuard(async ctx => {
+  await ctx.answerCallbackQuery();
+  return ctx.match[1] === 'sheet' ? beginSheetFlow(ctx) : beginChatFlow(ctx);
+}));
+
+bot.callbackQuery('chat_teams', withSessionGuard(async ctx => {
+  await ctx.answerCallbackQuery();
+  const report = await sessionReportOrReply(ctx, await getSession(ctx.chat.id));
+  if (!report) return;
+  return ctx.editMessageText('<b>Select a team:</b>', {
+    parse_mode: 'HTML',
+    reply_markup: chatTeamsKeyboard(calls)
+  });
+}));
 
 bot.callbackQuery(/^chat_team:(.+)$/, withSessionGuard(async ctx => {
+  await ctx.answerCallbackQuery();
   const chatId = ctx.chat.id;
-  const { rows, dateStr } = await getSession(chatId);
+  const sess = await getSession(chatId);
+  const report = await sessionReportOrReply(ctx, sess);
+  if (!report) return;
   const team = ctx.match[1];
 
-  await saveSession(chatId, { ...await getSession(chatId), selectedTeam: team });
+  await saveSession(chatId, { ...sess, selectedTeam: team });
 
-  
-  const agents = Array.from(
-    new Set(rows.slice(1).filter(r => r[6] === team).map(r => r[5]))
-  );
-  const kb = new InlineKeyboard();
-  agents.forEach(a => kb.text(a, `chat_agent:${team}|${a}`).row());
   await ctx.editMessageText(
     `<b>Team:</b> ${team}\n<b>Select an agent:</b>`,
-    { parse_mode: 'HTML', reply_markup: kb }
+    { parse_mode: 'HTML', reply_markup: chatAgentsKeyboard(report.calls, team) }
   );
 }));
 
 bot.callbackQuery(/^chat_agent:(.+)\|(.+)$/, withSessionGuard(async ctx => {
+  await ctx.answerCallbackQuery();
   const chatId = ctx.chat.id;
   const [, team, agent] = ctx.match;
-  const { rows, dateStr } = await getSession(chatId);
-
-  // Use correct indexes based on your data sample
-  const filtered = rows
-    .slice(1)
-    .filter(r => r[6] === team && r[5] === agent); // Team = r[6], Agent = r[5]
-  const total = filtered.length;
-  const counts = filtered.reduce((acc, r) => {
-    const st = r[8]?.toString().trim(); // Status = r[8]
-    acc[st] = (acc[st] || 0) + 1;
-    return acc;
-  }, {});
+  const sess = await getSession(chatId);
+  const { dateStr, accountName } = sess;
+  const report = await sessionReportOrReply(ctx, sess);
+  if (!report) return;
+  const { calls, cachedAt } = report;
+
+  const filtered = calls.filter(c => c.team === team && c.agent === agent);
   await ctx.editMessageText(
-    `<b>Name:</b> <b>${agent}</b>\n` +
-    `<b>Date:</b> <b>${dateStr}</b>\n` +
-    `<b>Calls:</b> <b>${total}</b>\n` +
-    `<b>Answered:</b> <b>${counts.ANSWER || 0}</b>\n` +
-    `<b>Cancelled:</b> <b>${counts.CANCEL || 0}</b>\n` +
-    `<b>Busy:</b> <b>${counts.BUSY || 0}</b>`,
-    { parse_mode: 'HTML' }
+    accountHeader(accountName, cachedAt) + formatAgentStats(agent, dateStr, summarizeCalls(filtered)),
+    { parse_mode: 'HTML', reply_markup: new InlineKeyboard().text('⬅️ Back to agents', `chat_team:${team}`) }
   );
 }));
 
@@ -598,22 +861,21 @@ bot.command('team', withSessionGuard(async ctx => {
   const chatId = ctx.chat.id;
   const sess = await getSession(chatId);
 
-  // Only allow in chat mode, with rows loaded
-  if (!sess || sess.mode !== 'chat' || !sess.rows) {
+  // Only allow in chat mode, with a range loaded
+  if (!sess || sess.mode !== 'chat' || !sess.range) {
     return replyBold(ctx, 'This command is only available in chat mode after selecting a date.');
   }
 
-  const rawTeams = sess.rows.slice(1).map(r => r[6] || '');
-  const teams = Array.from(new Set(rawTeams));
-  if (teams.length === 0) {
+  const report = await sessionReportOrReply(ctx, sess);
+  if (!report) return;
+  const { calls } = report;
+  if (calls.length === 0) {
     return replyBold(ctx, 'No teams found for this date.');
   }
-  const kb = new InlineKeyboard();
-  teams.forEach(t => kb.text(t, `chat_team:${t}`).row());
 
   return ctx.reply('<b>Select a team:</b>', {
     parse_mode: 'HTML',
-    reply_markup: kb
+    reply_markup: chatTeamsKeyboard(calls)
   });
 }));
 
@@ -624,38 +886,58 @@ bot.command('agent', withSessionGuard(async ctx => {
   const chatId = ctx.chat.id;
   const sess = await getSession(chatId);
 
+  if (isGroupChat(ctx)) return groupAgentStats(ctx);
+
   // Parse argument
   const input = ctx.message.text.split(' ').slice(1).join(' ').trim().toLowerCase();
   if (!input) {
     // fallback to original /agent logic if no argument
-    if (!sess || sess.mode !== 'chat' || !sess.rows || !sess.selectedTeam) {
+    if (!sess || sess.mode !== 'chat' || !sess.range || !sess.selectedTeam) {
       return replyBold(ctx, 'This command is only available in chat mode after selecting a team.');
     }
+    const report = await sessionReportOrReply(ctx, sess);
+    if (!report) return;
+    const { calls } = report;
     const agents = Array.from(
-      new Set(sess.rows.slice(1).filter(r => r[6] === sess.selectedTeam).map(r => r[5]))
+      new Set(calls.filter(c => c.team === sess.selectedTeam).map(c => c.agent))
     );
     if (agents.length === 0) {
       return replyBold(ctx, 'No agents found for this team.');
     }
-    const kb = new InlineKeyboard();
-    agents.forEach(a => kb.text(a, `chat_agent:${sess.selectedTeam}|${a}`).row());
     return ctx.reply(
       `<b>Team:</b> ${sess.selectedTeam}\n<b>Select an agent:</b>`,
-      { parse_mode: 'HTML', reply_markup: kb }
+      { parse_mode: 'HTML', reply_markup: chatAgentsKeyboard(calls, sess.selectedTeam) }
     );
   }
 
   // Fuzzy search for agent
-  if (!sess || sess.mode !== 'chat' || !sess.rows || !sess.selectedTeam) {
+  if (!sess || sess.mode !== 'chat' || !sess.range || !sess.selectedTeam) {
     return replyBold(ctx, 'This command is only available in chat mode after selecting a team.');
   }
+  const report = await sessionReportOrReply(ctx, sess);
+  if (!report) return;
+  const { calls, cachedAt } = report;
   const agents = Array.from(
-    new Set(sess.rows.slice(1).filter(r => r[6] === sess.selectedTeam).map(r => r[5]))
+    new Set(calls.filter(c => c.team === sess.selectedTeam).map(c => c.agent))
   );
   if (agents.length === 0) {
     return replyBold(ctx, 'No agents found for this team.');
   }
 
+  const agent = matchAgent(agents, input);
+  if (!agent) {
+    return replyBold(ctx, `No agent found matching "${input}".`);
+  }
+
+  // Show stats for the matched agent
+  const filtered = calls.filter(c => c.team === sess.selectedTeam && c.agent === agent);
+  return ctx.reply(
+    accountHeader(sess.accountName, cachedAt) + formatAgentStats(agent, sess.dateStr, summarizeCalls(filtered)),
+    { parse_mode: 'HTML' }
+  );
+}));
+// Closest agent name to `input` (lowercase), or null without agents
+function matchAgent(agents, input) {
   // Find best match
   let best = null, bestScore = Infinity;
   for (const a of agents) {
@@ -667,134 +949,374 @@ bot.command('agent', withSessionGuard(async ctx => {
   }
   // Also allow substring match if Levenshtein is not close
   const substringMatch = agents.find(a => a.toLowerCase().includes(input));
-  const agent = (substringMatch && bestScore > 2) ? substringMatch : best;
+  return (substringMatch && bestScore > 2) ? substringMatch : best;
+}
 
-  if (!agent) {
-    return replyBold(ctx, `No agent found matching "${input}".`);
+// /agent in a group: `/agent [date|range] <name>`, searched across all
+// teams of the linked account, defaulting to yesterday
+async function groupAgentStats(ctx) {
+  const parts = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+  if (parts.length === 0) {
+    return ctx.reply(
+      '<b>Usage:</b> <code>/agent [date|range] &lt;name&gt;</code>\n' +
+      'e.g. <code>/agent Linh</code>, <code>/agent last week Linh</code>',
+      { parse_mode: 'HTML' }
+    );
   }
 
-  // Show stats for the matched agent
-  const filtered = sess.rows
-    .slice(1)
-    .filter(r => r[6] === sess.selectedTeam && r[5] === agent);
-  const total = filtered.length;
-  const counts = filtered.reduce((acc, r) => {
-    const st = r[8]?.toString().trim();
-    acc[st] = (acc[st] || 0) + 1;
-    return acc;
-  }, {});
+  const yesterday = dayjs().subtract(1, 'day').format('YYYY-MM-DD');
+  const parsed  = splitDateArgs(parts);
+  const range   = parsed?.range || { from: yesterday, to: yesterday };
+  const input   = (parsed ? parsed.rest : parts).join(' ').toLowerCase();
+  const dateStr = formatRange(range);
+
+  const owner = await getGroupOwner(ctx.chat.id);
+  const creds = owner && await getFlyfoneCreds(owner);
+  if (!creds) return replyBold(ctx, GROUP_NOT_LINKED);
+
+  let calls, cachedAt;
+  try {
+    ({ calls, cachedAt } = await fetchReport(owner, range, creds));
+  } catch (err) {
+    return replyBold(ctx, `Error fetching report: ${err.message}`);
+  }
+
+  const agent = matchAgent(Array.from(new Set(calls.map(c => c.agent))), input);
+  if (!agent) {
+    return replyBold(ctx, `No agent found matching "${input}" on ${dateStr}.`);
+  }
   return ctx.reply(
-    `<b>Name:</b> <b>${agent}</b>\n` +
-    `<b>Date:</b> <b>${sess.dateStr}</b>\n` +
-    `<b>Calls:</b> <b>${total}</b>\n` +
-    `<b>Answered:</b> <b>${counts.ANSWER || 0}</b>\n` +
-    `<b>Cancelled:</b> <b>${counts.CANCEL || 0}</b>\n` +
-    `<b>Busy:</b> <b>${counts.BUSY || 0}</b>`,
+    accountHeader(creds.name, cachedAt) + formatAgentStats(agent, dateStr, summarizeCalls(calls.filter(c => c.agent === agent))),
     { parse_mode: 'HTML' }
   );
-}));
-// Update selectedTeam in chat_team callback
-bot.callbackQuery(/^chat_team:(.+)$/, withSessionGuard(async ctx => {
-  const chatId = ctx.chat.id;
-  const { rows, dateStr } = await getSession(chatId);
-  const team = ctx.match[1];
-  await saveSession(chatId, { ...await getSession(chatId), selectedTeam: team }); // Save selected team
-
-  const agents = Array.from(
-    new Set(rows.slice(1).filter(r => r[6] === team).map(r => r[5]))
-  );
-  const kb = new InlineKeyboard();
-  agents.forEach(a => kb.text(a, `chat_agent:${team}|${a}`).row());
-  await ctx.editMessageText(
-    `<b>Team:</b> ${team}\n<b>Select an agent:</b>`,
-    { parse_mode: 'HTML', reply_markup: kb }
-  );
-}));
+}
 
 bot.command('summary',
   withSessionGuard(async ctx => {
-    const parts = ctx.message.text.split(/\s+/).slice(1);
-    if (parts.length < 2) {
+    const args = parseFilterArgs(ctx.message.text.split(/\s+/).slice(1).filter(Boolean));
+    const parts = args.rest;
+    if (parts.length < 2 || args.unknown.length) {
       return ctx.reply(
-        '<b>Usage:</b> <code>/summary &lt;date|today|yesterday&gt; &lt;TeamName&gt;</code>',
+        '<b>Usage:</b> <code>/summary &lt;date|range&gt; &lt;TeamName&gt; [filters]</code>\n' +
+        'e.g. <code>/summary yesterday Sales</code>, <code>/summary last week Sales</code>, ' +
+        '<code>/summary 2025-07-01..2025-07-07 Sales status=answer</code>\n' +
+        FILTER_USAGE,
         { parse_mode: 'HTML' }
       );
     }
 
-    const rawDate = parts[0];
-    const team    = parts.slice(1).join(' ');
-    const dateObj = parseDateInput(rawDate);
-    if (!dateObj) {
-      return replyBold(ctx, `Could not understand date "${rawDate}".`);
+    const parsed = splitDateArgs(parts);
+    if (!parsed) {
+      return replyBold(ctx, `Could not understand date "${parts.slice(0, -1).join(' ')}".`);
     }
-    const dateStr = dayjs(dateObj).format('YYYY-MM-DD');
+    const { range } = parsed;
+    const team      = parsed.rest.join(' ');
+    const dateStr   = formatRange(range) + describeFilters(args.filters);
 
-    const chatId = ctx.chat.id;
-    const creds  = await getFlyfoneCreds(chatId);
+    const owner = await accountOwner(ctx);
+    const creds = owner && await getFlyfoneCreds(owner);
     if (!creds) {
-      return replyBold(ctx, 'You need to /fetch once (to log in) before using /summary.');
+      return replyBold(ctx, isGroupChat(ctx) ? GROUP_NOT_LINKED : 'You need to /fetch once (to log in) before using /summary.');
     }
 
     await replyBold(ctx, `Loading summary for ${team} on ${dateStr}…`);
 
-    let rows;
+    let calls, cachedAt;
     try {
-      const jar = await loadCookies(chatId);
-const client = wrapper(axios.create({ jar, withCredentials: true }));
-      rows = await downloadFlyfoneReport(chatId, dateStr, creds.email, creds.pass, client, jar);
+      ({ calls, cachedAt } = await fetchReport(owner, range, creds, args.filters));
     } catch (err) {
       return replyBold(ctx, `Error fetching report: ${err.message}`);
     }
 
-    const dataRows = rows.slice(1)
-      .filter(r => (r[6] || '').toString() === team);
+    const dataRows = calls.filter(c => c.team === team);
     if (dataRows.length === 0) {
       return replyBold(ctx, `No calls found for team "${team}" on ${dateStr}.`);
     }
 
-    const counts = dataRows.reduce((acc, r) => {
-      const agent = r[5] || 'Unknown';
+    const counts = dataRows.reduce((acc, c) => {
+      const agent = c.agent || 'Unknown';
       acc[agent] = (acc[agent] || 0) + 1;
       return acc;
     }, {});
 
-    const header = `<b>Summary for ${team} on ${dateStr}:</b>`;
+    const header = accountHeader(creds.name, cachedAt) + `<b>Summary for ${team} on ${dateStr}:</b>`;
     const lines  = Object.entries(counts)
       .sort((a, b) => b[1] - a[1])
       .map(([agent, c]) => `• <b>${agent}: ${c}</b>`);
     return ctx.reply([header, ...lines].join('\n'), { parse_mode: 'HTML' });
   })
-);// ─────────────────────────────────────────────────────────────────────────────
-// 5) Credential prompts (shared)
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /leaderboard: rank agents across teams, paginated
+// ─────────────────────────────────────────────────────────────────────────────
+const LEADERBOARD_PAGE_SIZE = 15;
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+bot.command('leaderboard',
+  withSessionGuard(async ctx => {
+    const chatId = ctx.chat.id;
+    let parts = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+
+    // [metric] is the last word, if it names one
+    const named  = findMetric(parts[parts.length - 1]);
+    const metric = named || 'answered';
+    if (named) parts = parts.slice(0, -1);
+
+    // [date|range] leads, defaulting to yesterday
+    const yesterday = dayjs().subtract(1, 'day').format('YYYY-MM-DD');
+    const parsed = splitDateArgs(parts, 0);
+    const range  = parsed?.range || { from: yesterday, to: yesterday };
+    const rest   = parsed ? parsed.rest : parts;
+    const team   = rest.join(' ') || 'all';
+    const allTeams = team.toLowerCase() === 'all';
+    const dateStr  = formatRange(range);
+
+    const owner = await accountOwner(ctx);
+    const creds = owner && await getFlyfoneCreds(owner);
+    if (!creds) {
+      return replyBold(ctx, isGroupChat(ctx) ? GROUP_NOT_LINKED : 'You need to /fetch once (to log in) before using /leaderboard.');
+    }
+
+    await replyBold(ctx, `Loading leaderboard for ${allTeams ? 'all teams' : team} on ${dateStr}…`);
+
+    let calls, cachedAt;
+    try {
+      ({ calls, cachedAt } = await fetchReport(owner, range, creds));
+    } catch (err) {
+      return replyBold(ctx, `Error fetching report: ${err.message}`);
+    }
+    if (!allTeams) {
+      calls = calls.filter(c => c.team.toLowerCase() === team.toLowerCase());
+    }
+    if (calls.length === 0) {
+      return replyBold(ctx, `No calls found for ${allTeams ? 'any team' : `team "${team}"`} on ${dateStr}.`);
+    }
+
+    const { label, format } = LEADERBOARD_METRICS[metric];
+    const lines = rankAgents(calls, metric).map(e => {
+      const badge = MEDALS[e.rank - 1] || `${e.rank}.`;
+      const who   = allTeams ? `${e.agent} (${e.team})` : e.agent;
+      return `${badge} <b>${who}</b>: ${format(e.value)}`;
+    });
+    const header =
+      accountHeader(creds.name, cachedAt) +
+      `<b>🏆 Leaderboard: ${label}</b>\n` +
+      `<b>${allTeams ? 'All teams' : team} · ${dateStr}</b>`;
+
+    const sess = await getSession(chatId);
+    await saveSession(chatId, { ...sess, leaderboard: { header, lines } });
+    const page = renderLeaderboardPage({ header, lines }, 0);
+    return ctx.reply(page.text, { parse_mode: 'HTML', reply_markup: page.kb });
+  })
+);
+
+bot.callbackQuery(/^lb:(\d+)$/, withSessionGuard(async ctx => {
+  const { leaderboard } = await getSession(ctx.chat.id);
+  await ctx.answerCallbackQuery();
+  if (!leaderboard) return;
+  const page = renderLeaderboardPage(leaderboard, Number(ctx.match[1]));
+  return ctx.editMessageText(page.text, { parse_mode: 'HTML', reply_markup: page.kb });
+}));
+
+function renderLeaderboardPage({ header, lines }, page) {
+  const pages = Math.max(1, Math.ceil(lines.length / LEADERBOARD_PAGE_SIZE));
+  const p     = Math.min(Math.max(page, 0), pages - 1);
+  const slice = lines.slice(p * LEADERBOARD_PAGE_SIZE, (p + 1) * LEADERBOARD_PAGE_SIZE);
+
+  const kb = new InlineKeyboard();
+  if (p > 0)         kb.text('◀ Prev', `lb:${p - 1}`);
+  if (p < pages - 1) kb.text('Next ▶', `lb:${p + 1}`);
+
+  const footer = pages > 1 ? `\n\n<i>Page ${p + 1}/${pages}</i>` : '';
+  return { text: [header, '', ...slice].join('\n') + footer, kb };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /hourly: calls per hour as a text bar chart (and the sheet's Hourly tab)
 // ─────────────────────────────────────────────────────────────────────────────
-bot.on('message:text', async ctx => {
+bot.command('hourly', async ctx => {
   const chatId = ctx.chat.id;
-  const sess = await getSession(chatId);
-  if (!sess) return;
+  const parts  = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+
+  // /hourly tab on|off → toggle the chart tab written by sheet exports
+  if (parts[0]?.toLowerCase() === 'tab') {
+    const arg = parts[1]?.toLowerCase();
+    if (!['on', 'off'].includes(arg)) {
+      return ctx.reply('<b>Usage:</b> <code>/hourly tab on|off</code>', { parse_mode: 'HTML' });
+    }
+    if (!await hasSheet(chatId)) {
+      return replyBold(ctx, 'Missing sheet. Use "/sheet + <URL/ID>" first.');
+    }
+    await saveHourlyTab(chatId, arg === 'on');
+    return replyBold(ctx, arg === 'on'
+      ? `Sheet exports will now refresh the “${HOURLY_TAB}” tab and chart.`
+      : `Sheet exports will no longer touch the “${HOURLY_TAB}” tab.`);
+  }
+
+  // [date] leads, defaulting to yesterday
+  const yesterday = dayjs().subtract(1, 'day').format('YYYY-MM-DD');
+  const parsed = splitDateArgs(parts, 0);
+  const range  = parsed?.range || { from: yesterday, to: yesterday };
+  const target = (parsed ? parsed.rest : parts).join(' ');
+  const dateStr = formatRange(range);
+
+  const creds = await getFlyfoneCreds(chatId);
+  if (!creds) {
+    return replyBold(ctx, 'You are not logged in. Use /start to log in.');
+  }
+
+  let calls, cachedAt;
+  try {
+    ({ calls, cachedAt } = await fetchReport(chatId, range, creds));
+  } catch (err) {
+    return replyBold(ctx, `Error fetching report: ${err.message}`);
+  }
+
+  // [team|agent]: a team name first, then an agent name (exact or partial)
+  let label = 'All teams';
+  if (target) {
+    const t = target.toLowerCase();
+    const agents = Array.from(new Set(calls.map(c => c.agent)));
+    const agent = agents.find(a => a.toLowerCase() === t) || agents.find(a => a.toLowerCase().includes(t));
+    if (calls.some(c => c.team.toLowerCase() === t)) {
+      calls = callsForTeam(calls, t);
+      label = `Team ${calls[0].team}`;
+    } else if (agent) {
+      calls = calls.filter(c => c.agent === agent);
+      label = agent;
+    } else {
+      return replyBold(ctx, `No team or agent matching "${target}" on ${dateStr}.`);
+    }
+  }
+
+  return ctx.reply(
+    accountHeader(creds.name, cachedAt) +
+    `<b>Hourly calls · ${label} · ${dateStr}</b>\n` +
+    `<pre>${formatHourlyChart(hourlyBreakdown(calls))}</pre>`,
+    { parse_mode: 'HTML' }
+  );
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /export: send the filtered rows back as a CSV/XLSX document
+// ─────────────────────────────────────────────────────────────────────────────
+const EXPORT_FORMATS = ['xlsx', 'csv'];
+
+bot.command('export', async ctx => {
+  const chatId = ctx.chat.id;
+  const args = parseFilterArgs(ctx.message.text.split(/\s+/).slice(1).filter(Boolean));
+  if (args.unknown.length) {
+    return ctx.reply(`<b>Unknown filter: ${args.unknown.join(', ')}</b>\n${FILTER_USAGE}`, { parse_mode: 'HTML' });
+  }
+  let parts = args.rest;
+
+  // [csv|xlsx] is the last word, if given
+  const last   = parts[parts.length - 1]?.toLowerCase();
+  const format = EXPORT_FORMATS.includes(last) ? last : 'xlsx';
+  if (EXPORT_FORMATS.includes(last)) parts = parts.slice(0, -1);
 
-  if (sess.step === 'await_email') {
-    sess.email = ctx.message.text.trim();
-    sess.step = 'await_pass';
+  // [date|range] leads, defaulting to yesterday
+  const yesterday = dayjs().subtract(1, 'day').format('YYYY-MM-DD');
+  const parsed = splitDateArgs(parts, 0);
+  const range  = parsed?.range || { from: yesterday, to: yesterday };
+  const team   = (parsed ? parsed.rest : parts).join(' ');
+  const allTeams = !team || team.toLowerCase() === 'all';
+  const dateStr  = formatRange(range) + describeFilters(args.filters);
+
+  const creds = await getFlyfoneCreds(chatId);
+  if (!creds) {
+    return replyBold(ctx, 'You are not logged in. Use /start to log in.');
+  }
+
+  await replyBold(ctx, `Preparing ${format.toUpperCase()} for ${allTeams ? 'all teams' : team} on ${dateStr}…`);
+
+  let calls, cachedAt;
+  try {
+    ({ calls, cachedAt } = await fetchReport(chatId, range, creds, args.filters));
+  } catch (err) {
+    return replyBold(ctx, `Error fetching report: ${err.message}`);
+  }
+  if (!allTeams) calls = callsForTeam(calls, team.toLowerCase());
+  if (calls.length === 0) {
+    return replyBold(ctx, `No calls found for ${allTeams ? 'any team' : `team "${team}"`} on ${dateStr}.`);
+  }
+
+  const name = [
+    'flyfone',
+    range.from === range.to ? range.from : `${range.from}_${range.to}`,
+    allTeams ? 'all' : team.replace(/[^\w-]+/g, '-'),
+  ].join('_');
+  inc('exports_total', { target: 'file' });
+  return ctx.replyWithDocument(
+    new InputFile(buildExportFile(calls, format), `${name}.${format}`),
+    { caption: `📇 ${creds.name}${cacheNote(cachedAt)}\n${calls.length} calls · ${allTeams ? 'all teams' : team} · ${dateStr}` }
+  );
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /refresh: forget cached reports so the next command downloads fresh data
+// ─────────────────────────────────────────────────────────────────────────────
+bot.command('refresh', async ctx => {
+  const owner = await accountOwner(ctx);
+  if (!owner) return replyBold(ctx, GROUP_NOT_LINKED);
+
+  const dropped = invalidateReports({ chatId: owner });
+  return replyBold(ctx, dropped
+    ? `Cleared ${dropped} cached report${dropped === 1 ? '' : 's'}. The next report is downloaded fresh from Flyfone.`
+    : 'Nothing cached. The next report is downloaded fresh from Flyfone.');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 5) Credential prompts (shared), and hints for input no step expects
+// ─────────────────────────────────────────────────────────────────────────────
+bot.on('message', async ctx => {
+  const chatId = ctx.chat.id;
+  const sess = await getSession(chatId);
+  // Text for an expired step was answered above; an unknown command after
+  // the timeout just ends the dead flow
+  if (sess?.flow && isExpired(sess.flow)) {
+    endFlow(sess);
     await saveSession(chatId, sess);
-    return replyBold(ctx, 'Enter your Flyfone password:');
   }
+  if (!sess?.flow) return;
 
-  if (sess.step === 'await_pass') {
-    const pass = ctx.message.text.trim();
-    console.log(`➡️ [await_pass] chatId=${chatId} email=${sess.email}`);
-    try {
-      const jar = await loadCookies(chatId);
-      console.log('✔️ Loaded cookies:', jar);
-    const client = wrapper(axios.create({ jar, withCredentials: true }));
+  const text = ctx.message.text?.trim();
+  if (!text || text.startsWith('/')) {
+    return replyBold(ctx, describeStep(sess.flow), { reply_markup: CANCEL_KB });
+  }
 
-     console.log('🛫 Calling ensureLoggedIn with:', { chatId, email: sess.email });
-     await ensureLoggedIn(chatId, sess.email, pass, client, jar );
-     console.log('✅ ensureLoggedIn succeeded');
-      await saveFlyfoneCreds(chatId, sess.email, pass);
+  if (inFlow(sess, 'login', 'email')) {
+    advanceFlow(sess, 'password', { email: text });
+    await saveSession(chatId, sess);
+    return replyBold(ctx, 'Enter your Flyfone password:', { reply_markup: CANCEL_KB });
+  }
 
-      sess.step = 'await_mode';
+  if (inFlow(sess, 'login', 'password')) {
+    const { email, newAccount } = sess.flow.data;
+    try {
+      // Logging in again with a known email updates that account
+      const accounts = await getFlyfoneAccounts(chatId);
+      const known    = accounts.find(a => a.email === email);
+      const account  = {
+        id:    known?.id ?? newAccountId(accounts.map(a => a.id)),
+        name:  newAccount?.name || known?.name || email,
+        email,
+        pass:  text,
+      };
+      // Always a fresh login, so a changed password is really checked
+      const client = await FlyfoneClient.forAccount(chatId, account);
+      await client.login();
+      log.info('Flyfone account logged in', { accountId: account.id });
+      await saveFlyfoneCreds(chatId, account);
+      endFlow(sess);
       await saveSession(chatId, sess);
 
+      // /accounts add: back to whatever the user was doing
+      if (newAccount) {
+        return replyBold(ctx, `Account “${account.name}” added and now active. See /accounts.`);
+      }
+
       const kb = new InlineKeyboard()
         .text('Yes, link a sheet', 'linkSheet:yes')
         .text('No, keep in chat', 'linkSheet:no');
@@ -804,69 +1326,42 @@ bot.on('message:text', async ctx => {
         reply_markup: kb
       });
     } catch (err) {
-      sess.step = 'await_email';
+      log.warn('Flyfone login from chat failed', { err });
+      advanceFlow(sess, 'email');
       await saveSession(chatId, sess);
-      return replyBold(ctx, 'Credentials invalid, try your Flyfone email again:');
+      return replyBold(ctx, 'Credentials invalid, try your Flyfone email again:', { reply_markup: CANCEL_KB });
     }
   }
-});
 
-async function startFetchFlow(ctx, email, pass, sheetId, dateStr = null) {
-  const chatId = ctx.chat.id; // Make sure this is defined
-  const ds = dateStr || dayjs().subtract(1,'day').format('YYYY-MM-DD');
-
-  try {
-const jar = await loadCookies(chatId);
-const client = wrapper(axios.create({ jar, withCredentials: true }));
-const rows = await downloadFlyfoneReport(chatId, ds, email, pass, client, jar);
-    // raw, lowercase keys
-    const raw = rows.slice(1).map(r => r[6]?.toString() || '').filter(Boolean);
-
-    // SHEET MODE
-    if (sheetId) {
-      const teamKeys = Array.from(new Set(raw.map(t => t.toLowerCase())));
-  // merge into the existing session so we keep mode/sheet linkage
-  const prev = await getSession(ctx.chat.id) || {};
-  await saveSession(ctx.chat.id, { 
-    ...prev,
-    rows,
-    dateStr: ds,
-    sheetId,
-  });      const kb = new InlineKeyboard();
-      teamKeys.forEach(key => kb.text(key, `team:${key}`).row());
-      return ctx.reply(
-        `<b>Select a team to export:</b>`,
-        { parse_mode: 'HTML', reply_markup: kb }
-      );
-    }
+  // Text while a calendar is expected
+  return replyBold(ctx, describeStep(sess.flow), { reply_markup: CANCEL_KB });
+});
 
-    // CHAT MODE (unchanged original)
-    const teams = Array.from(new Set(raw)).map(label => ({
-      key:   label.toLowerCase(),
-      label, 
-    }));
-    if (teams.length === 0) {
-      return replyBold(ctx, `No teams found on ${ds}.`);
-    }
+// Remember the range the chat/sheet flow loaded, merged into the existing
+// session so mode and sheet linkage stay. The calls stay in the report cache.
+async function saveLoadedRange(chatId, fields) {
+  const sess = await getSession(chatId) || {};
+  delete sess.calls; // sessions saved before the report cache held the calls
+  await saveSession(chatId, { ...sess, ...fields });
+}
 
-  // merge into the existing session so we keep mode/sheet linkage
-  const prev = await getSession(ctx.chat.id) || {};
-  await saveSession(ctx.chat.id, { 
-    ...prev,
-    rows,
-    dateStr: ds,
-    sheetId,
-  });   
-  
-  const kb = new InlineKeyboard();
-    teams.forEach(t => kb.text(t.label, `team:${t.key}`).row());
-    return ctx.reply('<b>Select a team:</b>', {
-      parse_mode: 'HTML',
-      reply_markup: kb,
-    });
+// Sheet mode: download the range and offer its teams for export
+async function startFetchFlow(ctx, creds, range = null, filters = {}) {
+  const chatId = ctx.chat.id;
+  const yesterday = dayjs().subtract(1,'day').format('YYYY-MM-DD');
+  const r  = range || { from: yesterday, to: yesterday };
+  const ds = formatRange(r);
 
+  try {
+    if (!creds) throw new Error('Flyfone account not found. Use /accounts or /start.');
+    const { calls } = await fetchReport(chatId, r, creds, filters);
+    await saveLoadedRange(chatId, { range: r, filters, dateStr: ds, accountId: creds.id, accountName: creds.name });
+    return ctx.reply(
+      `<b>Select a team to export:</b>`,
+      { parse_mode: 'HTML', reply_markup: sheetTeamsKeyboard(calls) }
+    );
   } catch (err) {
-    console.error('❌ startFetchFlow error:', err);
+    log.error('Fetch flow failed', { err });
     const msg = err.message === 'Incorrect email or password'
       ? 'Incorrect email or password. Please /fetch again to retry.'
       : `Error: ${err.message}`;
@@ -877,11 +1372,32 @@ const rows = await downloadFlyfoneReport(chatId, ds, email, pass, client, jar);
 // ─────────────────────────────────────────────────────────────────────────────
 // SHEET MODE: lowercase team → write to sheet
 // ─────────────────────────────────────────────────────────────────────────────
+// Team picker for a sheet export; “Back to teams” on the next question
+// returns here
+function sheetTeamsKeyboard(calls) {
+  const teamKeys = Array.from(new Set(calls.map(c => c.team).filter(Boolean).map(t => t.toLowerCase())));
+  const kb = new InlineKeyboard();
+  teamKeys.forEach(key => kb.text(key, `team:${key}`).row());
+  if (teamKeys.length > 1) kb.text('📤 All teams, each to its sheet', `team:${ALL_TEAMS}`).row();
+  return kb.text('⬅️ Change dates', 'dates:sheet');
+}
+
+bot.callbackQuery('sheet_teams', withSessionGuard(async ctx => {
+  await ctx.answerCallbackQuery();
+  const report = await sessionReportOrReply(ctx, await getSession(ctx.chat.id));
+  if (!report) return;
+  return ctx.editMessageText('<b>Select a team to export:</b>', {
+    parse_mode: 'HTML',
+    reply_markup: sheetTeamsKeyboard(report.calls)
+  });
+}));
+
 // … in your team callback, instead of immediately calling writeToSheet…
 bot.callbackQuery(/^team:(.+)$/, withSessionGuard(async ctx => {
   const chatId = ctx.chat.id;
   const prev = await getSession(chatId) || {};
   if (!prev) return ctx.answerCallbackQuery({ show_alert: true, text: 'Session expired.' });
+  await ctx.answerCallbackQuery();
 
   prev.selectedTeam = ctx.match[1];
   await saveSession(chatId, prev);
@@ -889,7 +1405,9 @@ bot.callbackQuery(/^team:(.+)$/, withSessionGuard(async ctx => {
   // Ask overwrite vs append:
   const kb = new InlineKeyboard()
     .text('Overwrite', `sheetMode:overwrite`)
-    .text('Append',    `sheetMode:append`);
+    .text('Append',    `sheetMode:append`)
+    .row()
+    .text('⬅️ Back to teams', 'sheet_teams');
   return ctx.editMessageText(
     `<b>Do you want to overwrite existing data, or append?</b>`,
     { parse_mode: 'HTML', reply_markup: kb }
@@ -897,37 +1415,360 @@ bot.callbackQuery(/^team:(.+)$/, withSessionGuard(async ctx => {
 }));
 
 // Handle their choice
+// team: callback value for “export all teams”
+const ALL_TEAMS = '*';
+
+// Calls of one (lowercase) team
+function callsForTeam(calls, teamKey) {
+  return calls.filter(c => c.team.toLowerCase() === teamKey);
+}
+
+// Export with the user's tab strategy, refreshing the Hourly tab if enabled
+async function exportToLinkedSheet(chatId, sheetId, calls, overwrite) {
+  inc('exports_total', { target: 'sheet' });
+  const written = await exportCallsToSheet(chatId, sheetId, calls, {
+    overwrite,
+    strategy: await getTabStrategy(chatId),
+  });
+  inc('rows_written_total', {}, countWritten(written));
+  if (written.length && await getHourlyTab(chatId)) {
+    await writeHourlyTab(chatId, sheetId, hourlyBreakdown(calls));
+    written.push({ tab: HOURLY_TAB, rows: 0, skipped: 0 });
+  }
+  return written;
+}
+
+function countWritten(written) {
+  return written.reduce((n, w) => n + w.rows, 0);
+}
+
+// Appends skip calls already in the sheet; say how many
+function describeSkipped(written) {
+  const skipped = written.reduce((n, w) => n + w.skipped, 0);
+  return skipped ? `\n${skipped} call(s) were already in the sheet and were skipped.` : '';
+}
+
+// “into tab X” / “into tabs X, Y” for confirmation messages
+function describeTabs(written) {
+  const names = written.map(w => w.tab);
+  return names.length === 1 ? `tab “${names[0]}”` : `tabs ${names.map(n => `“${n}”`).join(', ')}`;
+}
+
 bot.callbackQuery(/^sheetMode:(overwrite|append)$/, withSessionGuard(async ctx => {
+  await ctx.answerCallbackQuery();
   const chatId = ctx.chat.id;
   const mode = ctx.match[1];                   // 'overwrite' or 'append'
   const sess = await getSession(chatId);
-  const { rows, dateStr, sheetId, selectedTeam } = sess;
+  const { dateStr, selectedTeam, accountName } = sess;
+  const report = await sessionReportOrReply(ctx, sess);
+  if (!report) return;
+  const { calls, cachedAt } = report;
+  const overwrite = mode === 'overwrite';
+
+  if (selectedTeam === ALL_TEAMS) {
+    const lines = await exportAllTeams(chatId, calls, overwrite);
+    return ctx.editMessageText(
+      accountHeader(accountName, cachedAt) +
+      `<b>${overwrite ? 'Overwrote' : 'Appended'} all teams on ${dateStr}:</b>\n` + lines.join('\n'),
+      { parse_mode: 'HTML' }
+    );
+  }
 
-  // Filter & build output…
-  const filtered = rows.slice(1)
-    .filter(r => r[6]?.toString().toLowerCase() === selectedTeam);
-  const output = [
-    ['Caller','Team','Callee','Status','Duration (s)','Talktime (s)','Hangup By','Call Date','Call Time','End Time'],
-    ...filtered.map(r => [r[5],r[6],r[7],r[8],r[9],r[10],r[11],r[1],r[2],r[3]])
-  ];
+  const filtered = callsForTeam(calls, selectedTeam);
+  const sheetId  = await sheetForTeam(chatId, selectedTeam);
+  if (!sheetId) {
+    return ctx.editMessageText(`❌ No sheet for team “${selectedTeam}”. Use /sheet.`);
+  }
 
   try {
-    await writeToSheet(
-      ctx.chat.id,
-      sheetId,
-      output,
-      mode === 'overwrite'
-    );
+    const written = await exportToLinkedSheet(chatId, sheetId, filtered, mode === 'overwrite');
+    if (!written.length) {
+      return ctx.editMessageText(
+        accountHeader(accountName, cachedAt) +
+        `No calls found for team “${selectedTeam}” on ${dateStr}; nothing was written.`,
+        { parse_mode: 'HTML' }
+      );
+    }
     await ctx.editMessageText(
-      `<b>${mode === 'overwrite' ? 'Overwrote' : 'Appended'} ${filtered.length} rows for team “${selectedTeam}” on ${dateStr}</b>`,
+      accountHeader(accountName, cachedAt) +
+      `<b>${mode === 'overwrite' ? 'Overwrote' : 'Appended'} ${countWritten(written)} rows for team “${selectedTeam}” on ${dateStr} into ${describeTabs(written)}</b>` +
+      describeSkipped(written),
       { parse_mode: 'HTML' }
     );
   } catch (err) {
-    console.error(err);
+    log.error('Sheet export failed', { err });
     await ctx.editMessageText(`❌ Write failed: ${err.message}`);
   }
 }));
 
+/**
+ * Export every team's calls to its own sheet in one pass. Teams sharing a
+ * sheet are written together, so each spreadsheet is touched once and an
+ * overwrite never wipes another team's rows.
+ * @returns {Promise<string[]>} one HTML line per sheet (and for unmapped teams)
+ */
+async function exportAllTeams(chatId, calls, overwrite) {
+  const bySheet  = new Map();
+  const unmapped = [];
+  for (const team of new Set(calls.map(c => c.team.toLowerCase()))) {
+    const sheetId = await sheetForTeam(chatId, team);
+    if (!sheetId) {
+      unmapped.push(team);
+      continue;
+    }
+    if (!bySheet.has(sheetId)) bySheet.set(sheetId, []);
+    bySheet.get(sheetId).push(team);
+  }
+
+  const lines = [];
+  for (const [sheetId, teams] of bySheet) {
+    const link = `<a href="https://docs.google.com/spreadsheets/d/${sheetId}">${teams.join(', ')}</a>`;
+    try {
+      const rows    = calls.filter(c => teams.includes(c.team.toLowerCase()));
+      const written = await exportToLinkedSheet(chatId, sheetId, rows, overwrite);
+      lines.push(written.length
+        ? `• ${link}: ${countWritten(written)} rows into ${describeTabs(written)}` + describeSkipped(written)
+        : `• ${link}: no calls`);
+    } catch (err) {
+      log.error('Sheet export failed', { sheetId, err });
+      lines.push(`• ${link}: ❌ ${err.message}`);
+    }
+  }
+  if (unmapped.length) {
+    lines.push(`• No sheet for ${unmapped.join(', ')} (set a default with /sheet)`);
+  }
+  return lines;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /schedule: daily unattended exports into the linked sheet
+// ─────────────────────────────────────────────────────────────────────────────
+const SCHEDULE_USAGE =
+  '<b>Usage:</b>\n' +
+  '<code>/schedule add &lt;HH:MM&gt; &lt;yesterday|today&gt; &lt;team&gt; [append|overwrite]</code>\n' +
+  '<code>/schedule list</code>\n' +
+  '<code>/schedule remove &lt;id&gt;</code>\n\n' +
+  'e.g. <code>/schedule add 07:00 yesterday Sales append</code>';
+
+bot.command('schedule', async ctx => {
+  const chatId = ctx.chat.id;
+  const [sub = 'list', ...parts] = ctx.message.text.split(/\s+/).slice(1);
+
+  if (sub === 'list') {
+    const jobs = await getSchedules(chatId);
+    if (jobs.length === 0) {
+      return ctx.reply('<b>No scheduled exports.</b>\n\n' + SCHEDULE_USAGE, { parse_mode: 'HTML' });
+    }
+    const lines = jobs.map(j =>
+      `• <code>${j.id}</code> every day at <b>${j.time}</b>: ${j.day}, team “${j.team}”, ${j.mode}`
+    );
+    return ctx.reply(['<b>Scheduled exports:</b>', ...lines].join('\n'), { parse_mode: 'HTML' });
+  }
+
+  if (sub === 'remove' || sub === 'delete') {
+    const id = parts[0];
+    const jobs = await getSchedules(chatId);
+    if (!id || !jobs.some(j => j.id === id)) {
+      return replyBold(ctx, `No scheduled export with id "${id || ''}". See /schedule list.`);
+    }
+    unregisterJob(chatId, id);
+    await deleteSchedule(chatId, id);
+    return replyBold(ctx, `Scheduled export ${id} removed.`);
+  }
+
+  if (sub === 'add') {
+    const fields = parseScheduleArgs(parts);
+    if (!fields) return ctx.reply(SCHEDULE_USAGE, { parse_mode: 'HTML' });
+
+    const creds = await getFlyfoneCreds(chatId);
+    if (!creds) {
+      return replyBold(ctx, 'You are not logged in. Use /start to log in.');
+    }
+    if (!await sheetForTeam(chatId, fields.team)) {
+      return replyBold(ctx, 'Missing sheet. Use "/sheet + <URL/ID>" first.');
+    }
+
+    // Runs against the account active now, even after a later switch
+    const taken = (await getSchedules(chatId)).map(j => j.id);
+    const job = newJob(chatId, { ...fields, accountId: creds.id }, taken);
+    await saveSchedule(chatId, job);
+    registerJob(job);
+    return replyBold(
+      ctx,
+      `Scheduled! Every day at ${job.time} I will ${job.mode} ${job.day}'s calls ` +
+      `for team “${job.team}” of ${creds.name} into your sheet. (id ${job.id})`
+    );
+  }
+
+  return ctx.reply(SCHEDULE_USAGE, { parse_mode: 'HTML' });
+});
+
+/**
+ * Runs one scheduled export without user interaction and reports the
+ * outcome in the owner's chat.
+ */
+async function runScheduledExport(job) {
+  const { chatId } = job;
+  // The job fires in SCHEDULE_TZ, so “today” is that zone's date too
+  const today = dayjs(nowInScheduleTz().date);
+  const ds    = (job.day === 'today' ? today : today.subtract(1, 'day')).format('YYYY-MM-DD');
+  log.info('Running scheduled export', { jobId: job.id, chatId, date: ds });
+
+  try {
+    const creds = await getFlyfoneCreds(chatId, job.accountId);
+    if (!creds) throw new Error('Flyfone account not found. Use /accounts or /start.');
+    const sheetId = await sheetForTeam(chatId, job.team);
+    if (!sheetId) throw new Error('No sheet linked. Use /sheet.');
+
+    const { calls, cachedAt } = await fetchReport(chatId, { from: ds, to: ds }, creds);
+    const filtered = callsForTeam(calls, job.team);
+    const written  = await exportToLinkedSheet(chatId, sheetId, filtered, job.mode === 'overwrite');
+
+    await bot.api.sendMessage(
+      chatId,
+      accountHeader(creds.name, cachedAt) + (written.length
+        ? `<b>⏰ Scheduled export: ${job.mode === 'overwrite' ? 'overwrote' : 'appended'} ` +
+          `${countWritten(written)} rows for team “${job.team}” on ${ds} into ${describeTabs(written)}</b>` +
+          describeSkipped(written)
+        : `<b>⏰ Scheduled export:</b> no calls found for team “${job.team}” on ${ds}; nothing was written.`),
+      { parse_mode: 'HTML' }
+    );
+  } catch (err) {
+    log.error('Scheduled export failed', { jobId: job.id, chatId, err });
+    try {
+      await bot.api.sendMessage(
+        chatId,
+        `<b>⏰ Scheduled export ${job.id} failed:</b>\n<code>${err.message}</code>`,
+        { parse_mode: 'HTML' }
+      );
+    } catch (sendErr) {
+      log.error('Failed to send error to user', { chatId, err: sendErr });
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// /kpi: intraday alerts when an agent falls behind a team threshold
+// ─────────────────────────────────────────────────────────────────────────────
+const KPI_USAGE =
+  '<b>Usage:</b>\n' +
+  '<code>/kpi add &lt;team&gt; answered&gt;=40 by 15:00</code>\n' +
+  '<code>/kpi add &lt;team&gt; rate&gt;=60</code> (answer rate, %)\n' +
+  '<code>/kpi add &lt;team&gt; talktime&gt;=90 by 16:00</code> (minutes)\n' +
+  '<code>/kpi list</code>\n' +
+  '<code>/kpi remove &lt;id&gt;</code>\n\n' +
+  'Agents are taken from today\'s report, so one with no calls yet is not alerted.';
+
+bot.command('kpi', async ctx => {
+  const chatId = ctx.chat.id;
+  const [sub = 'list', ...parts] = ctx.message.text.split(/\s+/).slice(1);
+
+  if (sub === 'list') {
+    const rules = await getKpiRules(chatId);
+    if (rules.length === 0) {
+      return ctx.reply('<b>No KPI alerts.</b>\n\n' + KPI_USAGE, { parse_mode: 'HTML' });
+    }
+    const lines = rules.map(r => `• <code>${r.id}</code> ${r.team}: ${describeKpiRule(r)}`);
+    return ctx.reply(['<b>KPI alerts:</b>', ...lines].join('\n'), { parse_mode: 'HTML' });
+  }
+
+  if (sub === 'remove' || sub === 'delete') {
+    const id = parts[0];
+    const rules = await getKpiRules(chatId);
+    if (!id || !rules.some(r => r.id === id)) {
+      return replyBold(ctx, `No KPI alert with id "${id || ''}". See /kpi list.`);
+    }
+    await deleteKpiRule(chatId, id);
+    return replyBold(ctx, `KPI alert ${id} removed.`);
+  }
+
+  if (sub === 'add') {
+    const fields = parseKpiArgs(parts);
+    if (!fields) return ctx.reply(KPI_USAGE, { parse_mode: 'HTML' });
+    const creds = await getFlyfoneCreds(chatId);
+    if (!creds) {
+      return replyBold(ctx, 'You are not logged in. Use /start to log in.');
+    }
+    // Watches the account active now, even after a later switch
+    const taken = (await getKpiRules(chatId)).map(r => r.id);
+    const rule = newKpiRule(chatId, { ...fields, accountId: creds.id }, taken);
+    await saveKpiRule(chatId, rule);
+    return replyBold(ctx, `KPI alert added for ${rule.team} (${creds.name}): ${describeKpiRule(rule)} (id ${rule.id})`);
+  }
+
+  return ctx.reply(KPI_USAGE, { parse_mode: 'HTML' });
+});
+
+/**
+ * Poll today's report for every Flyfone account with KPI rules and alert
+ * the owner about agents who fall behind. One download per account per poll.
+ */
+async function runKpiChecks() {
+  const now = nowInScheduleTz();
+  const byAccount = new Map();
+  for (const rule of await getAllKpiRules()) {
+    if (now.time < rule.after) continue;
+    const key = `${rule.chatId}|${rule.accountId ?? ''}`;
+    if (!byAccount.has(key)) byAccount.set(key, []);
+    byAccount.get(key).push(rule);
+  }
+
+  for (const rules of byAccount.values()) {
+    const { chatId, accountId } = rules[0];
+    try {
+      const creds = await getFlyfoneCreds(chatId, accountId);
+      if (!creds) {
+        await dropOrphanedKpiRules(chatId, rules);
+        continue;
+      }
+      const { calls, cachedAt } = await fetchReport(chatId, { from: now.date, to: now.date }, creds);
+
+      for (const rule of rules) {
+        const lagging = findLaggingAgents(rule, calls, now);
+        if (lagging.length === 0) continue;
+        // Removed (/kpi remove, /logout) while the report downloaded
+        if (!(await getKpiRules(chatId)).some(r => r.id === rule.id)) continue;
+
+        const { label, format } = KPI_METRICS[rule.metric];
+        for (const { agent, value, stats } of lagging) {
+          await bot.api.sendMessage(
+            chatId,
+            accountHeader(creds.name, cachedAt) +
+            `<b>⚠️ KPI alert · ${rule.team}</b>\n` +
+            `<b>${agent}</b> is behind: ${label} ${format(value)} (target ${describeKpiRule(rule)})\n\n` +
+            formatAgentStats(agent, now.date, stats),
+            { parse_mode: 'HTML' }
+          );
+        }
+        // Re-read again: the rule may have gone while the alerts were sent,
+        // and saving it would bring it back
+        const latest = (await getKpiRules(chatId)).find(r => r.id === rule.id);
+        if (latest) await saveKpiRule(chatId, markFired(latest, now.date, lagging.map(l => l.agent)));
+      }
+    } catch (err) {
+      log.error('KPI check failed', { chatId, accountId, err });
+    }
+  }
+}
+
+// Rules whose Flyfone account is gone can never be checked: drop them and
+// tell the owner
+async function dropOrphanedKpiRules(chatId, rules) {
+  // After /logout the rules went with the account; nothing to say then
+  const ids   = new Set(rules.map(r => r.id));
+  const stale = (await getKpiRules(chatId)).filter(r => ids.has(r.id));
+  if (stale.length === 0) return;
+  for (const rule of stale) await deleteKpiRule(chatId, rule.id);
+  log.info('Dropped KPI rules of a removed account', { chatId, count: stale.length });
+  await bot.api.sendMessage(
+    chatId,
+    '<b>⚠️ KPI alerts removed: their Flyfone account no longer exists.</b>\n' +
+    stale.map(r => `• <code>${r.id}</code> ${r.team}: ${describeKpiRule(r)}`).join('\n') +
+    '\nUse /kpi add to set them up again.',
+    { parse_mode: 'HTML' }
+  );
+}
+
 const app = express();
 app.set('trust proxy', true);
 app.use(bodyParser.urlencoded({ extended:false }));
@@ -937,33 +1778,104 @@ app.get('/', (req, res) => {
   res.status(200).send('Bot is alive!');
 });
 
+// ── Health and metrics ───────────────────────────────────────────────────────
+// /healthz: the process is up. /readyz: storage answers, the bot token is
+// accepted by Telegram and (when FLYFONE_LOGIN_MAX_AGE is set, in seconds)
+// a Flyfone login succeeded recently. /metrics: see metrics.js.
+const FLYFONE_LOGIN_MAX_AGE = Number(process.env.FLYFONE_LOGIN_MAX_AGE) || 0;
+// getMe is cached so probes don't hit Telegram's rate limits
+const TOKEN_CHECK_TTL_MS = 60_000;
+let tokenCheck = { at: 0, ok: false };
+
+async function checkBotToken() {
+  if (Date.now() - tokenCheck.at < TOKEN_CHECK_TTL_MS) return tokenCheck.ok;
+  let ok = false;
+  try {
+    await bot.api.getMe();
+    ok = true;
+  } catch (err) {
+    log.error('Bot token check failed', { err });
+  }
+  tokenCheck = { at: Date.now(), ok };
+  return ok;
+}
+
+app.get('/healthz', (req, res) => {
+  res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+app.get('/readyz', async (req, res) => {
+  const lastLogin = getLastFlyfoneLogin();
+  const checks = {
+    storage: await pingStorage().then(() => true, () => false),
+    telegram: await checkBotToken(),
+    flyfone: !FLYFONE_LOGIN_MAX_AGE ||
+      (!!lastLogin && Date.now() - lastLogin.getTime() <= FLYFONE_LOGIN_MAX_AGE * 1000),
+  };
+  const ready = Object.values(checks).every(Boolean);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'unavailable',
+    checks,
+    lastFlyfoneLogin: lastLogin?.toISOString() ?? null,
+  });
+});
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Webhook mode: grammY answers 401 unless the secret token header matches.
+// Flyfone downloads and sheet exports can outlast grammY's 10 s default; on
+// timeout answer 200 and let the handler finish, since an error would make
+// Telegram resend the update and run it (e.g. a sheet overwrite) twice.
+if (WEBHOOK_URL) {
+  app.post(WEBHOOK_PATH, express.json(), webhookCallback(bot, 'express', {
+    secretToken: WEBHOOK_SECRET,
+    onTimeout: 'return',
+  }));
+}
+
+// Minimal HTML page for the browser tab that finishes the OAuth flow
+function oauthPage(title, message) {
+  const esc = t => t.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  return `<!doctype html><meta charset="utf-8"><title>${esc(title)}</title>` +
+    `<h1>${esc(title)}</h1><p>${esc(message)}</p>`;
+}
+
 app.get('/oauth2callback', async (req, res) => {
-  console.log('🔔 /oauth2callback hit with state:', req.query.state);
-  const { code, state, error } = req.query; // Add error parameter
+  log.info('OAuth callback received');
+  // Never log `code`: it can be exchanged for the user's tokens
+  const { code, state, error } = req.query;
   
   // Handle OAuth errors from Google
   if (error) {
-    console.error('❌ Google OAuth error:', error, req.query.error_description);
+    log.warn('Google OAuth error', { error, description: req.query.error_description });
     return res.status(400).send(`OAuth error: ${req.query.error_description}`);
   }
 
-  if (!code || !state) return res.status(400).send('Missing code or state.');
-  
+  if (!code || !state) {
+    return res.status(400).send(oauthPage('Authorization failed', 'The link is missing its code or state.'));
+  }
+
+  // Signed, expiring, single-use: see oauth-state.js
   let chatId;
   try {
-    ({ chatId } = JSON.parse(decodeURIComponent(state)));
+    chatId = await verifyOAuthState(state);
   } catch (err) {
-    console.error('❌ State parsing error:', err);
-    return res.status(400).send('Invalid state.');
+    if (!(err instanceof OAuthStateError)) throw err;
+    log.warn('Rejected OAuth state', { reason: err.message });
+    return res.status(400).send(oauthPage(
+      'Authorization rejected',
+      `${err.message} Send /sheet to the bot in Telegram to get a new link.`
+    ));
   }
 
   try {
     const { tokens } = await oauth2Client.getToken(code);
-    console.log('🔑 Tokens received:', tokens); // Log tokens for debugging
 
     if (tokens.refresh_token) {
       await saveRefreshToken(chatId, tokens.refresh_token);
-      console.log('✔️ Saved refresh token for', chatId);
+      log.info('Saved Google refresh token', { chatId });
       
       await bot.api.sendMessage(
         chatId,
@@ -972,7 +1884,7 @@ app.get('/oauth2callback', async (req, res) => {
       );
       res.send('Authorization successful! You can close this tab.');
     } else {
-      console.warn('⚠️ No refresh_token received');
+      log.warn('No refresh token received', { chatId });
       await bot.api.sendMessage(
         chatId,
         '<b>Authorization incomplete! Please try again.</b>',
@@ -981,7 +1893,7 @@ app.get('/oauth2callback', async (req, res) => {
       res.send('Authorization failed - no refresh token received');
     }
   } catch (err) {
-    console.error('🔥 OAuth callback error:', err);
+    log.error('OAuth callback failed', { chatId, err });
     
     // Send error to user
     try {
@@ -991,25 +1903,53 @@ app.get('/oauth2callback', async (req, res) => {
         { parse_mode: 'HTML' }
       );
     } catch (sendErr) {
-      console.error('Failed to send error to user:', sendErr);
+      log.error('Failed to send error to user', { chatId, err: sendErr });
     }
     
     return res.status(500).send(`Auth error: ${err.message}`);
   }
 });// Gracefully save state before shutdown
 // ─────────────────────────────────────────────────────────────────────────────
-process.on('SIGINT', () => process.exit());
-process.on('SIGTERM', () => process.exit());
+async function shutdown() {
+  try {
+    if (WEBHOOK_URL) {
+      await bot.api.deleteWebhook();
+      log.info('Webhook deleted');
+    } else {
+      await bot.stop();
+    }
+  } catch (err) {
+    log.error('Shutdown cleanup failed', { err });
+  }
+  process.exit();
+}
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
 
 
 app.listen(PORT, () => {
-  console.log(`OAuth2 callback listening on http://localhost:${PORT}`);
+  log.info('HTTP server listening', { port: Number(PORT) });
 });
 
 
-bot.start({
-  onStart: info => console.log(`Polling as @${info.username}`)
-});
+startScheduler(runScheduledExport)
+  .then(n => log.info('Armed scheduled exports', { count: n }))
+  .catch(err => log.error('Failed to load scheduled exports', { err }));
+startKpiPoller(runKpiChecks);
+
+if (WEBHOOK_URL) {
+  const url = WEBHOOK_URL.replace(/\/+$/, '') + WEBHOOK_PATH;
+  bot.api.setWebhook(url, { secret_token: WEBHOOK_SECRET })
+    .then(() => log.info('Webhook set', { url }))
+    .catch(err => {
+      log.error('Failed to set webhook', { err });
+      process.exit(1);
+    });
+} else {
+  bot.start({
+    onStart: info => log.info('Polling', { username: info.username })
+  });
+}
 bot.catch(err => {
-  console.error('Unhandled bot error:', err.error);
+  log.error('Unhandled bot error', { err: err.error });
 });
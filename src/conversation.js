@@ -0,0 +1,107 @@
+// conversation.js
+
+/**
+ * Multi-step conversations as explicit flows. A flow is an ordered list of
+ * steps, each with the hint shown when input that doesn't fit arrives.
+ *
+ * Progress lives in the stored session as `sess.flow`:
+ * `{ name, step, at, data }`, where `data` holds what the earlier steps
+ * collected (an email, a start date). It survives restarts like the rest of
+ * the session; a step untouched for FLOW_STEP_TIMEOUT seconds has expired,
+ * and /cancel drops the flow with all its data.
+ */
+
+const FLOW_STEP_TIMEOUT = Number(process.env.FLOW_STEP_TIMEOUT) || 600;
+
+export const FLOWS = {
+  login: {
+    label: 'Flyfone login',
+    restart: '/start',
+    steps: [
+      { id: 'email',    hint: 'Send the email you log in to Flyfone with.' },
+      { id: 'password', hint: 'Send your Flyfone password.' },
+    ],
+  },
+  range: {
+    label: 'date selection',
+    restart: '/fetch',
+    steps: [
+      { id: 'from', hint: 'Pick the start date on the calendar above.' },
+      { id: 'to',   hint: 'Pick the end date on the calendar above, or tap “Just this day”.' },
+    ],
+  },
+};
+
+/**
+ * Put the session at the first step of `name`, replacing any other flow.
+ * @param {object} sess mutated; save it afterwards
+ * @param {keyof FLOWS} name
+ * @param {object} [data]
+ */
+export function startFlow(sess, name, data = {}) {
+  sess.flow = { name, step: FLOWS[name].steps[0].id, at: Date.now(), data };
+}
+
+/**
+ * Move to `step` of the current flow, merging `data` into what it holds.
+ * @param {object} sess mutated; save it afterwards
+ * @param {string} step
+ * @param {object} [data]
+ */
+export function advanceFlow(sess, step, data = {}) {
+  sess.flow = { ...sess.flow, step, at: Date.now(), data: { ...sess.flow.data, ...data } };
+}
+
+/**
+ * Drop the current flow and everything it collected.
+ * @param {object} sess mutated; save it afterwards
+ * @returns {object|null} the flow that was dropped
+ */
+export function endFlow(sess) {
+  const flow = sess?.flow ?? null;
+  if (sess) delete sess.flow;
+  return flow;
+}
+
+/**
+ * True if the session is at `step` of `name` and the step hasn't expired.
+ * @param {object|null} sess
+ * @param {keyof FLOWS} name
+ * @param {string} [step] any step when omitted
+ */
+export function inFlow(sess, name, step) {
+  const flow = sess?.flow;
+  return !!flow && !isExpired(flow) && flow.name === name && (!step || flow.step === step);
+}
+
+/**
+ * @param {{at: number}} flow
+ * @returns {boolean}
+ */
+export function isExpired(flow) {
+  return Date.now() - flow.at > FLOW_STEP_TIMEOUT * 1000;
+}
+
+/**
+ * “You are in step 1 of 2 of the Flyfone login: …” for unexpected input.
+ * @param {{name: string, step: string}} flow
+ * @returns {string} HTML
+ */
+export function describeStep(flow) {
+  const { label, steps } = FLOWS[flow.name];
+  const index = steps.findIndex(s => s.id === flow.step);
+  return `You are in step ${index + 1} of ${steps.length} of the ${label}: ${steps[index].hint}\n` +
+    'Send /cancel to stop.';
+}
+
+/**
+ * Message for a flow that just expired.
+ * @param {{name: string}} flow
+ * @returns {string} HTML
+ */
+export function describeExpired(flow) {
+  const { label, restart } = FLOWS[flow.name];
+  const wait = FLOW_STEP_TIMEOUT >= 120 ? `${Math.round(FLOW_STEP_TIMEOUT / 60)} minutes` : `${FLOW_STEP_TIMEOUT} seconds`;
+  return `The ${label} timed out after ${wait} without an answer. ` +
+    `Use ${restart} to start again.`;
+}
@@ -0,0 +1,131 @@
+// dates.js
+import dayjs from 'dayjs';
+import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+import isoWeek from 'dayjs/plugin/isoWeek.js';
+import * as chrono from 'chrono-node';
+
+dayjs.extend(customParseFormat);
+dayjs.extend(isoWeek);
+
+const FMT = 'YYYY-MM-DD';
+
+/**
+ * Parse “YYYY-MM-DD”, “today”, “yesterday”, or free text like “July 1, 2025”.
+ * @param {string} input
+ * @returns {Date|null}
+ */
+export function parseDateInput(input) {
+  const txt = input?.trim().toLowerCase();
+  if (txt === 'today')     return new Date();
+  if (txt === 'yesterday') return new Date(Date.now() - 864e5);
+  // Try strict ISO
+  const iso = dayjs(txt, FMT, true);
+  if (iso.isValid()) return iso.toDate();
+  // Fallback to chrono‑node
+  const results = chrono.parse(txt);
+  return results[0]?.start?.date() ?? null;
+}
+
+/**
+ * Parse a date or a date range into `{ from, to }` (both “YYYY-MM-DD”).
+ * Understands single dates (see parseDateInput), “this/last week”,
+ * “this/last month”, “last N days” and explicit ranges such as
+ * “2025-07-01..2025-07-07” or “July 1 - July 7”.
+ * Returns null unless the whole input is understood.
+ * @param {string} input
+ * @returns {{from: string, to: string} | null}
+ */
+export function parseDateRange(input) {
+  const txt = input?.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!txt) return null;
+  const today = dayjs();
+
+  if (txt === 'this week') {
+    return { from: today.startOf('isoWeek').format(FMT), to: today.format(FMT) };
+  }
+  if (txt === 'last week') {
+    const d = today.subtract(1, 'week');
+    return { from: d.startOf('isoWeek').format(FMT), to: d.endOf('isoWeek').format(FMT) };
+  }
+  if (txt === 'this month') {
+    return { from: today.startOf('month').format(FMT), to: today.format(FMT) };
+  }
+  if (txt === 'last month') {
+    const d = today.subtract(1, 'month');
+    return { from: d.startOf('month').format(FMT), to: d.endOf('month').format(FMT) };
+  }
+  const lastN = txt.match(/^last (\d{1,3}) days?$/);
+  if (lastN) {
+    const n = Number(lastN[1]);
+    if (n < 1) return null;
+    return { from: today.subtract(n - 1, 'day').format(FMT), to: today.format(FMT) };
+  }
+
+  // “from..to” with any single-date syntax on either side
+  const parts = txt.split(/\s*\.\.\s*/);
+  if (parts.length === 2) {
+    const from = parseDateInput(parts[0]);
+    const to   = parseDateInput(parts[1]);
+    return from && to ? orderedRange(from, to) : null;
+  }
+
+  if (txt === 'today' || txt === 'yesterday' || dayjs(txt, FMT, true).isValid()) {
+    const d = dayjs(parseDateInput(txt)).format(FMT);
+    return { from: d, to: d };
+  }
+
+  // Free text: chrono must consume the whole input
+  const [res] = chrono.parse(txt);
+  if (!res || res.index !== 0 || res.text.length !== txt.length) return null;
+  return orderedRange(res.start.date(), (res.end ?? res.start).date());
+}
+
+/**
+ * Split command arguments into a leading date/range and the remaining words.
+ * The longest prefix that parses as a range wins, so “last week Sales”
+ * yields the range for last week and `rest = ['Sales']`.
+ * @param {string[]} parts
+ * @param {number} [minRest=1] words that must be left over
+ * @returns {{range: {from: string, to: string}, rest: string[]} | null}
+ */
+export function splitDateArgs(parts, minRest = 1) {
+  for (let n = parts.length - minRest; n > 0; n--) {
+    const range = parseDateRange(parts.slice(0, n).join(' '));
+    if (range) return { range, rest: parts.slice(n) };
+  }
+  return null;
+}
+
+/**
+ * Human label for a range: a single date, or “from → to”.
+ * @param {{from: string, to: string}} range
+ * @returns {string}
+ */
+export function formatRange({ from, to }) {
+  return from === to ? from : `${from} → ${to}`;
+}
+
+/**
+ * Split an inclusive range into consecutive chunks of at most `maxDays` days.
+ * @param {string} from
+ * @param {string} to
+ * @param {number} maxDays
+ * @returns {{from: string, to: string}[]}
+ */
+export function chunkRange(from, to, maxDays) {
+  const chunks = [];
+  let start = dayjs(from, FMT);
+  const end = dayjs(to, FMT);
+  while (!start.isAfter(end, 'day')) {
+    let stop = start.add(maxDays - 1, 'day');
+    if (stop.isAfter(end, 'day')) stop = end;
+    chunks.push({ from: start.format(FMT), to: stop.format(FMT) });
+    start = stop.add(1, 'day');
+  }
+  return chunks;
+}
+
+function orderedRange(a, b) {
+  const [x, y] = a <= b ? [a, b] : [b, a];
+  return { from: dayjs(x).format(FMT), to: dayjs(y).format(FMT) };
+}
@@ -0,0 +1,89 @@
+// encryption.js
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+/**
+ * AES-256-GCM for secrets stored at rest (Flyfone passwords).
+ *
+ * Keys come from CREDS_ENCRYPTION_KEYS as a comma-separated list of
+ * `<keyId>:<base64 32-byte key>`. The first key encrypts; all keys decrypt,
+ * so rotating means prepending a new key and running `npm run migrate:creds`.
+ *
+ * Stored format: `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>` (base64 parts).
+ */
+
+const PREFIX = 'enc:v1:';
+
+function loadKeys() {
+  const raw = process.env.CREDS_ENCRYPTION_KEYS || '';
+  const keys = raw.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const idx = entry.indexOf(':');
+    const id  = entry.slice(0, idx);
+    const key = Buffer.from(entry.slice(idx + 1), 'base64');
+    if (idx < 1 || key.length !== 32) {
+      throw new Error(`Invalid CREDS_ENCRYPTION_KEYS entry "${id || entry.slice(0, 8)}": expected <id>:<base64 32-byte key>`);
+    }
+    return { id, key };
+  });
+  if (keys.length === 0) {
+    throw new Error('Missing CREDS_ENCRYPTION_KEYS in environment');
+  }
+  return keys;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} true if `value` was produced by encryptSecret
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt `plaintext` with the active key. `context` is bound as associated
+ * data, so a ciphertext copied to another row will not decrypt.
+ * @param {string} plaintext
+ * @param {string} context
+ * @returns {string}
+ */
+export function encryptSecret(plaintext, context) {
+  const [{ id, key }] = loadKeys();
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(context));
+  const ct = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return PREFIX + [id, iv, tag, ct].map(p => (typeof p === 'string' ? p : p.toString('base64'))).join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret. Legacy plaintext values are
+ * returned unchanged so rows keep working until they are migrated.
+ * @param {string} value
+ * @param {string} context
+ * @returns {string}
+ */
+export function decryptSecret(value, context) {
+  if (!isEncrypted(value)) return value;
+
+  const [id, iv, tag, ct] = value.slice(PREFIX.length).split(':');
+  const entry = loadKeys().find(k => k.id === id);
+  if (!entry) throw new Error(`Unknown encryption key id "${id}"`);
+
+  const decipher = createDecipheriv('aes-256-gcm', entry.key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ct, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} true if `value` is plaintext or sealed with a non-active key
+ */
+export function needsReencrypt(value) {
+  if (!isEncrypted(value)) return true;
+  const [id] = value.slice(PREFIX.length).split(':');
+  return id !== loadKeys()[0].id;
+}
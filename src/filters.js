@@ -0,0 +1,80 @@
+// filters.js
+
+/**
+ * Options accepted by /fetch, /summary and /export as `key=value` words,
+ * mapped to the Flyfone export query.
+ *
+ * `status` and `team_id` are sent to Flyfone when numeric (its own codes).
+ * A status name such as `answer`, or a team name such as `Sales`, is applied
+ * to the downloaded calls instead, since Flyfone only filters by code.
+ */
+const FILTER_KEYS = {
+  status:      ['status'],
+  phone:       ['phone', 'number'],
+  team_id:     ['team_id', 'teamid'],
+  autodial_id: ['autodial', 'autodial_id', 'campaign'],
+};
+
+/**
+ * Pull `key=value` options out of command arguments.
+ * @param {string[]} parts
+ * @returns {{filters: object, rest: string[], unknown: string[]}}
+ */
+export function parseFilterArgs(parts) {
+  const filters = {};
+  const rest = [];
+  const unknown = [];
+  for (const word of parts) {
+    const m = word.match(/^([a-z_]+)=(.+)$/i);
+    if (!m) {
+      rest.push(word);
+      continue;
+    }
+    const key = Object.keys(FILTER_KEYS).find(k => FILTER_KEYS[k].includes(m[1].toLowerCase()));
+    if (key) filters[key] = m[2];
+    else unknown.push(m[1]);
+  }
+  return { filters, rest, unknown };
+}
+
+/**
+ * Query parameters for /api/export/voice, defaulting to “everything”.
+ * @param {object} [filters]
+ * @returns {{phone: string, status: string, autodial_id: string, team_id: string}}
+ */
+export function toExportQuery(filters = {}) {
+  const numeric = v => (/^\d+$/.test(v ?? '') ? v : null);
+  return {
+    phone:       filters.phone ?? '',
+    status:      numeric(filters.status) ?? '0',
+    autodial_id: filters.autodial_id ?? '',
+    team_id:     numeric(filters.team_id) ?? '0',
+  };
+}
+
+/**
+ * Apply the filters Flyfone can't (status or team by name) to downloaded calls.
+ * @param {import('./report.js').CallRecord[]} calls
+ * @param {object} [filters]
+ */
+export function applyLocalFilters(calls, filters = {}) {
+  const byName = v => v && !/^\d+$/.test(v);
+  const { status, team_id: team } = filters;
+  let out = calls;
+  if (byName(status)) out = out.filter(c => c.status === status.toUpperCase());
+  if (byName(team)) out = out.filter(c => c.team.toLowerCase() === team.toLowerCase());
+  return out;
+}
+
+/**
+ * “ (status=answer, phone=0901)” for replies, or '' without filters.
+ * @param {object} [filters]
+ * @returns {string}
+ */
+export function describeFilters(filters = {}) {
+  const parts = Object.entries(filters).map(([k, v]) => `${k}=${v}`);
+  return parts.length ? ` (${parts.join(', ')})` : '';
+}
+
+export const FILTER_USAGE =
+  'Filters: <code>status=</code>, <code>phone=</code>, <code>team_id=</code>, <code>autodial=</code>';
@@ -0,0 +1,211 @@
+// flyfone.js
+import axios from 'axios';
+import { wrapper } from 'axios-cookiejar-support';
+import XLSX from 'xlsx';
+import { chunkRange } from './dates.js';
+import { parseCallRecords } from './report.js';
+import { toExportQuery, applyLocalFilters } from './filters.js';
+import { loadCookies, saveCookies } from './state.js';
+import { inc, recordFlyfoneLogin } from './metrics.js';
+import { log } from './logger.js';
+
+// Point at a stand-in server with FLYFONE_BASE (see sandbox/flyfone-server.js)
+export const FLYFONE_BASE = (process.env.FLYFONE_BASE || 'https://my.flyfonetalk.com').replace(/\/+$/, '');
+// Longest range (in days) requested from Flyfone in a single export call
+const FLYFONE_MAX_RANGE_DAYS = Number(process.env.FLYFONE_MAX_RANGE_DAYS) || 31;
+// Per-request timeout, and retries (with exponential backoff) on network errors
+const FLYFONE_TIMEOUT_MS = Number(process.env.FLYFONE_TIMEOUT_MS) || 30_000;
+const FLYFONE_RETRIES    = Number(process.env.FLYFONE_RETRIES ?? 3);
+const FLYFONE_BACKOFF_MS = Number(process.env.FLYFONE_BACKOFF_MS) || 500;
+
+const TRANSIENT_CODES  = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
+const TRANSIENT_STATUS = [429, 502, 503, 504];
+
+/**
+ * Scrapes one Flyfone account. The client owns the account's cookie jar:
+ * it logs in when the session is gone, logs in again (once) when an export
+ * comes back as the login page instead of an Excel file, retries transient
+ * network errors, and saves the jar whenever Flyfone refreshes a cookie.
+ */
+export class FlyfoneClient {
+  /**
+   * @param {number} chatId owner of the account
+   * @param {{id: string, email: string, pass: string}} account see getFlyfoneCreds
+   * @param {import('tough-cookie').CookieJar} jar
+   */
+  constructor(chatId, account, jar) {
+    this.chatId  = chatId;
+    this.account = account;
+    this.jar     = jar;
+    this.http    = wrapper(axios.create({ jar, withCredentials: true, baseURL: FLYFONE_BASE }));
+  }
+
+  /**
+   * A client for `account` with its stored cookies.
+   * @param {number} chatId
+   * @param {{id: string, email: string, pass: string}} account
+   * @returns {Promise<FlyfoneClient>}
+   */
+  static async forAccount(chatId, account) {
+    return new FlyfoneClient(chatId, account, await loadCookies(chatId, account.id));
+  }
+
+  /**
+   * Log in unless the stored cookies still hold a session.
+   * @returns {Promise<void>}
+   */
+  async ensureLoggedIn() {
+    const resp = await this.#request({ url: '/dashboard', maxRedirects: 0, validateStatus: s => s < 500 });
+    if (resp.status === 200) {
+      log.debug('Flyfone session still valid', { accountId: this.account.id });
+      recordFlyfoneLogin();
+      return;
+    }
+    log.debug('Flyfone session expired, logging in', { accountId: this.account.id });
+    await this.login();
+  }
+
+  /**
+   * Log in with the account's credentials and save the new cookies.
+   * @returns {Promise<void>}
+   * @throws {Error} “Incorrect email or password” when Flyfone refuses them
+   */
+  async login() {
+    const { id, email, pass } = this.account;
+    try {
+      // 1. Fetch login page to get CSRF token
+      const loginPage = await this.#request({ url: '/login', validateStatus: s => s === 200 });
+      const match = loginPage.data.match(/name="csrf_webcall" value="([^"]+)"/);
+      if (!match) throw new Error('CSRF token not found');
+
+      // 2. POST credentials
+      const resp = await this.#request({
+        method: 'post',
+        url: '/login',
+        data: new URLSearchParams({ csrf_webcall: match[1], username: email, password: pass }),
+        maxRedirects: 0,
+        validateStatus: s => [302, 303, 200].includes(s),
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Referer: `${FLYFONE_BASE}/login`,
+          Origin: FLYFONE_BASE
+        }
+      });
+      log.debug('Flyfone login POST', { accountId: id, status: resp.status });
+
+      // 3. Detect wrong credentials
+      if (resp.status === 200 && resp.data.includes('password is incorrect')) {
+        throw new Error('Incorrect email or password');
+      }
+    } catch (err) {
+      log.warn('Flyfone login failed', { accountId: id, err });
+      inc('flyfone_login_failures_total');
+      throw err;
+    }
+
+    await this.#saveCookies();
+    recordFlyfoneLogin();
+  }
+
+  /**
+   * Download the voice export for an inclusive date range as call records
+   * (see report.js). Ranges longer than FLYFONE_MAX_RANGE_DAYS are fetched
+   * in chunks and concatenated. `filters` narrow the export (see filters.js).
+   * @param {string} fromStr YYYY-MM-DD
+   * @param {string} toStr   YYYY-MM-DD
+   * @param {object} [filters]
+   * @returns {Promise<import('./report.js').CallRecord[]>}
+   */
+  async downloadReport(fromStr, toStr, filters = {}) {
+    await this.ensureLoggedIn();
+
+    const calls = [];
+    for (const chunk of chunkRange(fromStr, toStr, FLYFONE_MAX_RANGE_DAYS)) {
+      const rows = await this.#exportChunk(chunk.from, chunk.to, filters);
+      calls.push(...parseCallRecords(rows));
+    }
+    return applyLocalFilters(calls, filters);
+  }
+
+  async #exportChunk(fromStr, toStr, filters) {
+    const qs = new URLSearchParams({
+      from_date: fromStr,
+      to_date: toStr,
+      ...toExportQuery(filters)
+    }).toString();
+    const get = () => this.#request({
+      url: `/api/export/voice?${qs}`,
+      headers: { Accept: 'application/vnd.ms-excel' },
+      responseType: 'arraybuffer',
+      maxRedirects: 0,
+      validateStatus: s => s < 500,
+    });
+
+    // The session can expire between the dashboard check and the export
+    let resp = await get();
+    if (isLoginPage(resp)) {
+      log.info('Flyfone session expired during export, logging in again', { accountId: this.account.id });
+      await this.login();
+      resp = await get();
+      if (isLoginPage(resp)) throw new Error('Flyfone keeps asking to log in; export aborted');
+    }
+
+    if (resp.status !== 200) throw new Error(`Export failed: ${resp.status}`);
+    if (!isExcel(resp)) {
+      throw new Error(`Flyfone sent ${resp.headers['content-type'] || 'an unknown file type'} instead of an Excel file`);
+    }
+
+    const wb = XLSX.read(resp.data, { type: 'buffer' });
+    return XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1 });
+  }
+
+  // One HTTP call with a timeout, retried with backoff on transient errors.
+  // A transient status is retried even when the caller's validateStatus
+  // accepts it (e.g. `s < 500` still lets a 429 through).
+  async #request(config) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const resp = await this.http.request({ timeout: FLYFONE_TIMEOUT_MS, ...config });
+        if (resp.headers['set-cookie']) await this.#saveCookies();
+        if (TRANSIENT_STATUS.includes(resp.status)) {
+          throw Object.assign(new Error(`Flyfone answered ${resp.status}`), { response: resp });
+        }
+        return resp;
+      } catch (err) {
+        if (attempt >= FLYFONE_RETRIES || !isTransient(err)) throw err;
+        const delay = FLYFONE_BACKOFF_MS * 2 ** attempt;
+        log.warn('Flyfone request failed, retrying', { url: config.url.split('?')[0], attempt: attempt + 1, delay, err });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async #saveCookies() {
+    try {
+      await saveCookies(this.chatId, this.account.id, this.jar);
+    } catch (err) {
+      log.error('Failed to save Flyfone cookies', { accountId: this.account.id, err });
+      throw err;
+    }
+  }
+}
+
+function isTransient(err) {
+  if (err.response) return TRANSIENT_STATUS.includes(err.response.status);
+  return TRANSIENT_CODES.includes(err.code);
+}
+
+// A redirect to /login, or the login form served in place of the file
+function isLoginPage(resp) {
+  if (resp.status >= 300 && resp.status < 400) {
+    return /\/login/.test(resp.headers.location || '');
+  }
+  return /text\/html/i.test(resp.headers['content-type'] || '');
+}
+
+// Excel by content type, or by the xlsx (zip) / xls (OLE) signature
+function isExcel(resp) {
+  if (/spreadsheet|excel|octet-stream/i.test(resp.headers['content-type'] || '')) return true;
+  const head = Buffer.from(resp.data).subarray(0, 4).toString('hex');
+  return head === '504b0304' || head === 'd0cf11e0';
+}
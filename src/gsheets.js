@@ -1,7 +1,10 @@
 // gsheets.js
 import { google } from 'googleapis';
 import 'dotenv/config';
-import { getRefreshToken } from './state.js';
+import { getRefreshToken, deleteRefreshToken } from './state.js';
+import { SHEET_HEADER } from './report.js';
+import { inc } from './metrics.js';
+import { log } from './logger.js';
 
 
 const {
@@ -9,6 +12,17 @@ const {
   GOOGLE_CLIENT_SECRET,
 } = process.env;
 
+/**
+ * How exported calls are spread over tabs:
+ *  - `single` — everything in one tab (DEFAULT_TAB)
+ *  - `date`   — one tab per call date, e.g. “2025-07-01”
+ *  - `team`   — one tab per team
+ *  - `month`  — one tab per call month, e.g. “2025-07”
+ */
+export const TAB_STRATEGIES = ['single', 'date', 'team', 'month'];
+export const DEFAULT_TAB = 'Sheet1';
+export const HOURLY_TAB = 'Hourly';
+
 /**
  * Per‑user Sheets client: uses the individual user’s refresh token.
  */
@@ -16,6 +30,11 @@ const {
 export async function getSheetsClientForUser(chatId) {
   const refresh_token = await getRefreshToken(chatId);
   if (!refresh_token) throw new Error('User not authorized');
+  if (typeof refresh_token === 'object') {
+    log.error('Corrupted Google token detected, deleting it', { chatId });
+    await deleteRefreshToken(chatId);
+    throw new Error('Invalid token format - please reauthenticate');
+  }
 
   const auth = new google.auth.OAuth2(
     GOOGLE_CLIENT_ID,
@@ -26,35 +45,157 @@ export async function getSheetsClientForUser(chatId) {
   auth.setCredentials({ refresh_token });
   return google.sheets({ version: 'v4', auth });
 }
+
+/**
+ * Tab title a call belongs to under `strategy`. Characters Sheets rejects
+ * in titles are replaced and the length is capped.
+ * @param {import('./report.js').CallRecord} call
+ * @param {string} strategy one of TAB_STRATEGIES
+ * @returns {string}
+ */
+export function tabNameFor(call, strategy) {
+  let name;
+  switch (strategy) {
+    case 'date':  name = call.callDate; break;
+    case 'team':  name = call.team; break;
+    case 'month': name = call.callDate.slice(0, 7); break;
+    default:      name = DEFAULT_TAB;
+  }
+  return (name || 'Unknown').replace(/[[\]*?:/\\]/g, '-').slice(0, 100);
+}
+
+// A1 notation for a tab, quoting the title
+function a1(tab, cells) {
+  return `'${tab.replace(/'/g, "''")}'!${cells}`;
+}
+
+/**
+ * Create any of `titles` that don't exist yet in the spreadsheet.
+ * @returns {Promise<Map<string, number>>} title → sheetId of every tab
+ */
+export async function ensureTabs(sheets, spreadsheetId, titles) {
+  const { data } = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets.properties(sheetId,title)',
+  });
+  const ids = new Map(data.sheets.map(s => [s.properties.title, s.properties.sheetId]));
+  const missing = [...new Set(titles)].filter(t => !ids.has(t));
+  if (missing.length === 0) return ids;
+
+  const { data: res } = await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: missing.map(title => ({ addSheet: { properties: { title } } })),
+    },
+  });
+  res.replies.forEach(r => ids.set(r.addSheet.properties.title, r.addSheet.properties.sheetId));
+  return ids;
+}
+
+// ── Cell values & formats ────────────────────────────────────────────────────
+
+const FMT_DURATION = { type: 'TIME', pattern: '[h]:mm:ss' };
+const FMT_DATE     = { type: 'DATE', pattern: 'yyyy-mm-dd' };
+const FMT_TIME     = { type: 'TIME', pattern: 'hh:mm:ss' };
+const FMT_PERCENT  = { type: 'PERCENT', pattern: '0.0%' };
+
+// Column index (SHEET_HEADER order) → number format
+const DATA_FORMATS = {
+  [SHEET_HEADER.indexOf('Duration')]:  FMT_DURATION,
+  [SHEET_HEADER.indexOf('Talktime')]:  FMT_DURATION,
+  [SHEET_HEADER.indexOf('Call Date')]: FMT_DATE,
+  [SHEET_HEADER.indexOf('Call Time')]: FMT_TIME,
+  [SHEET_HEADER.indexOf('End Time')]:  FMT_TIME,
+};
+
+// Sheets stores dates as days since 1899-12-30 and times as day fractions
+function dateSerial(iso) {
+  const m = iso.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? Date.UTC(+m[1], m[2] - 1, +m[3]) / 864e5 + 25569 : iso;
+}
+
+function timeSerial(hms) {
+  const m = hms.match(/^(\d{2}):(\d{2}):(\d{2})$/);
+  return m ? (m[1] * 3600 + m[2] * 60 + +m[3]) / 86400 : hms;
+}
+
+/**
+ * A call as sheet cells: the SHEET_HEADER columns, with dates, times and
+ * durations as serial numbers so DATA_FORMATS can display them. Text stays
+ * text (values are written RAW, so nothing is parsed as a formula).
+ * @param {import('./report.js').CallRecord} c
+ * @returns {Array}
+ */
+export function toSheetValues(c) {
+  return [
+    c.agent, c.team, c.callee, c.status,
+    c.duration / 86400, c.talkTime / 86400,
+    c.hangupBy, dateSerial(c.callDate), timeSerial(c.callTime), timeSerial(c.endTime),
+  ];
+}
+
+// Bold + frozen header, number formats per column, auto-sized columns
+function formatRequests(sheetId, columnFormats, columnCount) {
+  return [
+    {
+      updateSheetProperties: {
+        properties: { sheetId, gridProperties: { frozenRowCount: 1 } },
+        fields: 'gridProperties.frozenRowCount',
+      },
+    },
+    {
+      repeatCell: {
+        range: { sheetId, startRowIndex: 0, endRowIndex: 1 },
+        cell: { userEnteredFormat: { textFormat: { bold: true } } },
+        fields: 'userEnteredFormat.textFormat.bold',
+      },
+    },
+    ...Object.entries(columnFormats).map(([col, numberFormat]) => ({
+      repeatCell: {
+        range: { sheetId, startRowIndex: 1, startColumnIndex: +col, endColumnIndex: +col + 1 },
+        cell: { userEnteredFormat: { numberFormat } },
+        fields: 'userEnteredFormat.numberFormat',
+      },
+    })),
+    {
+      autoResizeDimensions: {
+        dimensions: { sheetId, dimension: 'COLUMNS', startIndex: 0, endIndex: columnCount },
+      },
+    },
+  ];
+}
+
 /**
- * Writes `rows` into the given spreadsheet on behalf of `chatId`.
- * If `overwrite` is true it clears first, otherwise it appends.
+ * Writes `rows` into one tab of the given spreadsheet on behalf of `chatId`.
+ * If `overwrite` is true it clears that tab first, otherwise it appends.
  *
  * @param {number} chatId
  * @param {string} spreadsheetId
  * @param {Array[]} rows
  * @param {boolean} overwrite
+ * @param {string} [tab]
  */
 export async function writeToSheet(
   chatId,
   spreadsheetId,
   rows,
-  overwrite = false
+  overwrite = false,
+  tab = DEFAULT_TAB
 ) {
   try {
     const sheets = await getSheetsClientForUser(chatId);
-    const fullRange = 'Sheet1!A1:Z';
+    await ensureTabs(sheets, spreadsheetId, [tab]);
 
     if (overwrite) {
       // 1) clear existing data
       await sheets.spreadsheets.values.clear({
         spreadsheetId,
-        range: fullRange,
+        range: a1(tab, 'A1:Z'),
       });
       // 2) write fresh starting at A1
       await sheets.spreadsheets.values.update({
         spreadsheetId,
-        range: 'Sheet1!A1',
+        range: a1(tab, 'A1'),
         valueInputOption: 'RAW',
         requestBody: { values: rows },
       });
@@ -62,14 +203,258 @@ export async function writeToSheet(
       // append mode
       await sheets.spreadsheets.values.append({
         spreadsheetId,
-        range: 'Sheet1!A1',
+        range: a1(tab, 'A1'),
         valueInputOption: 'RAW',
         insertDataOption: 'INSERT_ROWS',
         requestBody: { values: rows },
       });
     }
   } catch (err) {
-    console.error('Google Sheets API error:', err);
+    log.error('Google Sheets API error', { err });
+    inc('sheets_api_errors_total');
     throw new Error(`Failed to write to sheet: ${err.message}`);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Key identifying one call in a sheet: caller, callee, call date, call time.
+ */
+function callKey(caller, callee, date, time) {
+  return [caller, callee, date, time].map(v => String(v ?? '').trim()).join('|');
+}
+
+/**
+ * Append only calls that aren't in the tab yet. The header is written only
+ * when the tab is empty.
+ * @returns {Promise<{rows: number, skipped: number}>}
+ */
+async function appendNewCalls(chatId, spreadsheetId, tab, calls) {
+  let existing;
+  try {
+    const sheets = await getSheetsClientForUser(chatId);
+    await ensureTabs(sheets, spreadsheetId, [tab]);
+    const { data } = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: a1(tab, 'A1:Z'),
+    });
+    existing = data.values ?? [];
+  } catch (err) {
+    log.error('Google Sheets API error', { err });
+    inc('sheets_api_errors_total');
+    throw new Error(`Failed to read sheet: ${err.message}`);
+  }
+
+  // Locate key columns by the tab's own header, falling back to ours
+  const header = existing[0] ?? [];
+  const col = name => {
+    const i = header.indexOf(name);
+    return i >= 0 ? i : SHEET_HEADER.indexOf(name);
+  };
+  const [ci, ce, cd, ct] = ['Caller', 'Callee', 'Call Date', 'Call Time'].map(col);
+  const seen = new Set(existing.slice(1).map(r => callKey(r[ci], r[ce], r[cd], r[ct])));
+
+  const fresh = calls.filter(c => {
+    const key = callKey(c.agent, c.callee, c.callDate, c.callTime);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const rows = fresh.map(toSheetValues);
+  if (existing.length === 0) rows.unshift(SHEET_HEADER);
+  if (rows.length > 0) await writeToSheet(chatId, spreadsheetId, rows, false, tab);
+
+  return { rows: fresh.length, skipped: calls.length - fresh.length };
+}
+
+/**
+ * Export call records, spread over tabs according to `strategy`. Overwrite
+ * only clears the tabs being written; append skips calls already present.
+ *
+ * @param {number} chatId
+ * @param {string} spreadsheetId
+ * @param {import('./report.js').CallRecord[]} calls
+ * @param {{overwrite?: boolean, strategy?: string}} [opts]
+ * @returns {Promise<{tab: string, rows: number, skipped: number}[]>}
+ */
+export async function exportCallsToSheet(chatId, spreadsheetId, calls, { overwrite = false, strategy = 'single' } = {}) {
+  const byTab = new Map();
+  for (const c of calls) {
+    const tab = tabNameFor(c, strategy);
+    if (!byTab.has(tab)) byTab.set(tab, []);
+    byTab.get(tab).push(c);
+  }
+  // Still write the header when there's nothing to export
+  if (byTab.size === 0 && strategy === 'single') byTab.set(DEFAULT_TAB, []);
+
+  const written = [];
+  for (const [tab, tabCalls] of byTab) {
+    if (overwrite) {
+      await writeToSheet(chatId, spreadsheetId, [SHEET_HEADER, ...tabCalls.map(toSheetValues)], true, tab);
+      written.push({ tab, rows: tabCalls.length, skipped: 0 });
+    } else {
+      written.push({ tab, ...await appendNewCalls(chatId, spreadsheetId, tab, tabCalls) });
+    }
+  }
+
+  // No calls under a date, team or month strategy: no tab to format or sum up
+  if (written.length === 0) return written;
+
+  await formatDataTabs(chatId, spreadsheetId, written.map(w => w.tab));
+  await writeSummaryTab(chatId, spreadsheetId);
+  return written;
+}
+
+async function formatDataTabs(chatId, spreadsheetId, tabs) {
+  try {
+    const sheets = await getSheetsClientForUser(chatId);
+    const ids = await ensureTabs(sheets, spreadsheetId, tabs);
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: tabs.flatMap(t => formatRequests(ids.get(t), DATA_FORMATS, SHEET_HEADER.length)),
+      },
+    });
+  } catch (err) {
+    log.error('Google Sheets API error', { err });
+    inc('sheets_api_errors_total');
+    throw new Error(`Failed to format sheet: ${err.message}`);
+  }
+}
+
+export const SUMMARY_TAB = 'Summary';
+const SUMMARY_HEADER = ['Agent', 'Team', 'Calls', 'Answered', 'Answer rate', 'Talk time', 'Avg talk time'];
+const SUMMARY_FORMATS = { 4: FMT_PERCENT, 5: FMT_DURATION, 6: FMT_DURATION };
+
+// One formula per Summary column, each spilling down over every agent
+// found in `tabs`, so rows appended later are picked up automatically.
+function summaryFormulas(tabs) {
+  const col   = (t, c) => a1(t, `${c}2:${c}`);
+  const plus  = fn => tabs.map(fn).join(' + ');
+  const stack = c => `{${tabs.map(t => col(t, c)).join(';')}}`;
+  const perAgent = expr => `=ARRAYFORMULA(IF(A2:A="",, ${expr}))`;
+
+  return [
+    `=IFERROR(SORT(UNIQUE(FILTER(${stack('A')}, ${stack('A')}<>""))))`,
+    perAgent(`IFERROR(VLOOKUP(A2:A, {${tabs.map(t => a1(t, 'A2:B')).join(';')}}, 2, FALSE))`),
+    perAgent(plus(t => `COUNTIF(${col(t, 'A')}, A2:A)`)),
+    perAgent(plus(t => `COUNTIFS(${col(t, 'A')}, A2:A, ${col(t, 'D')}, "ANSWER")`)),
+    perAgent('IFERROR(D2:D / C2:C, 0)'),
+    perAgent(plus(t => `SUMIF(${col(t, 'A')}, A2:A, ${col(t, 'F')})`)),
+    perAgent('IFERROR(F2:F / D2:D, 0)'),
+  ];
+}
+
+/**
+ * Rebuild the Summary tab: per-agent totals and answer rate across every
+ * tab that holds call rows (A1 = “Caller”), as live formulas.
+ */
+export async function writeSummaryTab(chatId, spreadsheetId) {
+  try {
+    const sheets = await getSheetsClientForUser(chatId);
+    const ids = await ensureTabs(sheets, spreadsheetId, [SUMMARY_TAB]);
+
+    const candidates = [...ids.keys()].filter(t => t !== SUMMARY_TAB && t !== HOURLY_TAB);
+    const { data } = await sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: candidates.map(t => a1(t, 'A1')),
+    });
+    const dataTabs = candidates.filter((t, i) => data.valueRanges[i].values?.[0]?.[0] === SHEET_HEADER[0]);
+    if (dataTabs.length === 0) return;
+
+    await sheets.spreadsheets.values.clear({ spreadsheetId, range: a1(SUMMARY_TAB, 'A1:Z') });
+    await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: a1(SUMMARY_TAB, 'A1'),
+      valueInputOption: 'USER_ENTERED',
+      requestBody: { values: [SUMMARY_HEADER, summaryFormulas(dataTabs)] },
+    });
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: formatRequests(ids.get(SUMMARY_TAB), SUMMARY_FORMATS, SUMMARY_HEADER.length),
+      },
+    });
+  } catch (err) {
+    log.error('Google Sheets API error', { err });
+    inc('sheets_api_errors_total');
+    throw new Error(`Failed to write summary tab: ${err.message}`);
+  }
+}
+
+/**
+ * Rewrite the “Hourly” tab with calls per hour and a native column chart
+ * (replacing any chart left there by a previous export).
+ *
+ * @param {number} chatId
+ * @param {string} spreadsheetId
+ * @param {{hour: number, total: number, answered: number}[]} buckets see stats.hourlyBreakdown
+ */
+export async function writeHourlyTab(chatId, spreadsheetId, buckets) {
+  const rows = [
+    ['Hour', 'Calls', 'Answered'],
+    ...buckets.map(b => [`${String(b.hour).padStart(2, '0')}:00`, b.total, b.answered]),
+  ];
+  await writeToSheet(chatId, spreadsheetId, rows, true, HOURLY_TAB);
+
+  try {
+    const sheets = await getSheetsClientForUser(chatId);
+    const { data } = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets(properties(sheetId,title),charts(chartId))',
+    });
+    const tab = data.sheets.find(s => s.properties.title === HOURLY_TAB);
+    const sheetId = tab.properties.sheetId;
+
+    const column = (start, end) => ({
+      sourceRange: {
+        sources: [{
+          sheetId,
+          startRowIndex: 0,
+          endRowIndex: rows.length,
+          startColumnIndex: start,
+          endColumnIndex: end,
+        }],
+      },
+    });
+
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [
+          ...(tab.charts ?? []).map(c => ({ deleteEmbeddedObject: { objectId: c.chartId } })),
+          {
+            addChart: {
+              chart: {
+                spec: {
+                  title: 'Calls per hour',
+                  basicChart: {
+                    chartType: 'COLUMN',
+                    legendPosition: 'BOTTOM_LEGEND',
+                    headerCount: 1,
+                    axis: [
+                      { position: 'BOTTOM_AXIS', title: 'Hour' },
+                      { position: 'LEFT_AXIS', title: 'Calls' },
+                    ],
+                    domains: [{ domain: column(0, 1) }],
+                    series: [
+                      { series: column(1, 2), targetAxis: 'LEFT_AXIS' },
+                      { series: column(2, 3), targetAxis: 'LEFT_AXIS' },
+                    ],
+                  },
+                },
+                position: {
+                  overlayPosition: { anchorCell: { sheetId, rowIndex: 0, columnIndex: 4 } },
+                },
+              },
+            },
+          },
+        ],
+      },
+    });
+  } catch (err) {
+    log.error('Google Sheets API error', { err });
+    inc('sheets_api_errors_total');
+    throw new Error(`Failed to chart hourly tab: ${err.message}`);
+  }
+}
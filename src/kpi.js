@@ -0,0 +1,110 @@
+// kpi.js
+import { randomBytes } from 'crypto';
+import { summarizeCalls, formatDuration } from './stats.js';
+
+/**
+ * Intraday KPI rules: “every agent of <team> has at least <min> <metric>
+ * by <after>”. Rules are checked by the poller in bot.js; each rule alerts
+ * at most once per agent per day (tracked in `rule.fired`). Agents come from
+ * the day's report, so one with no calls at all is not seen and not alerted.
+ */
+export const KPI_METRICS = {
+  answered: { label: 'answered calls', value: st => st.answered,      format: v => String(v) },
+  rate:     { label: 'answer rate',    value: st => st.answerRate,    format: v => `${v.toFixed(1)}%` },
+  talktime: { label: 'talk time',      value: st => st.talkTime / 60, format: v => formatDuration(v * 60) },
+};
+
+// Answer rate is meaningless on a handful of calls
+const KPI_MIN_CALLS = Number(process.env.KPI_MIN_CALLS) || 10;
+const KPI_DEFAULT_AFTER = process.env.KPI_DEFAULT_AFTER || '10:00';
+
+/**
+ * Parse `/kpi add` arguments: `<team…> <metric>>=<n> [by HH:MM]`, e.g.
+ * `Sales answered>=40 by 15:00`, `Sales rate>=60`, `Sales talktime>=90`
+ * (talk time in minutes).
+ * @param {string[]} parts
+ * @returns {{team: string, metric: string, min: number, after: string} | null}
+ */
+export function parseKpiArgs(parts) {
+  let words = [...parts];
+  let after = KPI_DEFAULT_AFTER;
+
+  const byIdx = words.findIndex(w => w.toLowerCase() === 'by');
+  if (byIdx >= 0) {
+    const tm = (words[byIdx + 1] || '').match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    if (!tm) return null;
+    after = `${tm[1].padStart(2, '0')}:${tm[2]}`;
+    words.splice(byIdx, 2);
+  }
+
+  const ruleIdx = words.findIndex(w => /^(answered|rate|talktime)>=?\d+(\.\d+)?[%m]?$/i.test(w));
+  if (ruleIdx < 0) return null;
+  const [, metric, min] = words[ruleIdx].toLowerCase().match(/^(\w+)>=?(\d+(?:\.\d+)?)/);
+  words.splice(ruleIdx, 1);
+
+  const team = words.join(' ').trim();
+  if (!team) return null;
+  return { team, metric, min: Number(min), after };
+}
+
+/**
+ * A new rule with a short random id, unique among the user's rules.
+ * @param {number} chatId
+ * @param {{team: string, metric: string, min: number, after: string}} fields
+ * @param {string[]} [taken] ids of the user's existing rules
+ */
+export function newKpiRule(chatId, fields, taken = []) {
+  let id;
+  do id = randomBytes(3).toString('hex'); while (taken.includes(id));
+  return { id, chatId, ...fields, fired: { date: null, agents: [] } };
+}
+
+/**
+ * “answered calls ≥ 40 by 15:00”
+ * @param {object} rule
+ * @returns {string}
+ */
+export function describeKpiRule(rule) {
+  const { label, format } = KPI_METRICS[rule.metric];
+  return `${label} ≥ ${format(rule.min)} by ${rule.after}`;
+}
+
+/**
+ * Agents of the rule's team in `calls` who are behind at `now`, and not yet
+ * alerted today.
+ * @param {object} rule
+ * @param {import('./report.js').CallRecord[]} calls today's calls
+ * @param {{date: string, time: string}} now
+ * @returns {{agent: string, value: number, stats: import('./stats.js').CallStats}[]}
+ */
+export function findLaggingAgents(rule, calls, now) {
+  if (now.time < rule.after) return [];
+  const alerted = rule.fired?.date === now.date ? rule.fired.agents : [];
+  const { value } = KPI_METRICS[rule.metric];
+
+  const byAgent = new Map();
+  for (const c of calls) {
+    if (c.team.toLowerCase() !== rule.team.toLowerCase()) continue;
+    if (!byAgent.has(c.agent)) byAgent.set(c.agent, []);
+    byAgent.get(c.agent).push(c);
+  }
+
+  const lagging = [];
+  for (const [agent, agentCalls] of byAgent) {
+    if (alerted.includes(agent)) continue;
+    const stats = summarizeCalls(agentCalls);
+    if (rule.metric === 'rate' && stats.total < KPI_MIN_CALLS) continue;
+    const v = value(stats);
+    if (v < rule.min) lagging.push({ agent, value: v, stats });
+  }
+  return lagging;
+}
+
+/**
+ * Record that `agents` were alerted for `rule` on `date`.
+ * @returns {object} the updated rule
+ */
+export function markFired(rule, date, agents) {
+  const prev = rule.fired?.date === date ? rule.fired.agents : [];
+  return { ...rule, fired: { date, agents: [...prev, ...agents] } };
+}
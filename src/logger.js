@@ -0,0 +1,107 @@
+// logger.js
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * JSON-lines logger. Each entry is one line on stdout (stderr for warn and
+ * error) with `time`, `level`, `msg`, the correlation fields of the update
+ * being handled (see withLogContext) and the caller's fields.
+ *
+ * Secrets never reach the output: fields named like passwords, tokens,
+ * cookies or secrets are replaced with "[REDACTED]", at any depth, and
+ * cookie jars are never serialised. Strings are scrubbed too, since error
+ * messages and stacks quote URLs such as api.telegram.org/bot<token>/getMe.
+ *
+ * LOG_LEVEL picks the minimum level: debug, info (default), warn or error.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+const SECRET_KEY = /pass(word)?|secret|token|cookie|authorization|^jar$/i;
+const REDACTED = '[REDACTED]';
+
+// Settings whose values are cut out of any logged string
+const SECRET_ENV = [
+  'BOT_TOKEN', 'GOOGLE_CLIENT_SECRET', 'WEBHOOK_SECRET', 'OAUTH_STATE_SECRET',
+  'SUPABASE_KEY',
+];
+const BOT_TOKEN_IN_TEXT = /bot\d+:[\w-]+/g;
+
+function scrub(text) {
+  let out = text.replace(BOT_TOKEN_IN_TEXT, `bot${REDACTED}`);
+  for (const name of SECRET_ENV) {
+    // Read per call: the env may be loaded after this module. Very short
+    // values would blank out ordinary text, so they are left alone.
+    const secret = process.env[name];
+    if (secret && secret.length >= 8) out = out.split(secret).join(REDACTED);
+  }
+  return out;
+}
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with correlation fields attached to every entry logged inside it,
+ * including from awaited calls.
+ * @param {object} fields e.g. `{ updateId, chatId, command }`
+ * @param {() => Promise<any>} fn
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function redact(value, key = '', seen = new WeakSet()) {
+  // Booleans stay: “is a token configured?” is useful and not secret
+  if (key && SECRET_KEY.test(key) && value != null && typeof value !== 'boolean') return REDACTED;
+  if (typeof value === 'string') return scrub(value);
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redact(value.message),
+      stack: redact(value.stack),
+      ...redact({ ...value }, '', seen),
+    };
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (value.constructor?.name === 'CookieJar') return REDACTED;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+  if (Array.isArray(value)) return value.map(v => redact(v, '', seen));
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    // Axios errors carry the whole request and response; keep the useful bits
+    if (k === 'config' || k === 'request') continue;
+    if (k === 'response' && v?.status) {
+      out.response = { status: v.status };
+      continue;
+    }
+    out[k] = redact(v, k, seen);
+  }
+  return out;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...redact({ ...context.getStore(), ...fields }),
+  };
+  const line = JSON.stringify(entry) + '\n';
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+/**
+ * @type {{debug: (msg: string, fields?: object) => void,
+ *         info: (msg: string, fields?: object) => void,
+ *         warn: (msg: string, fields?: object) => void,
+ *         error: (msg: string, fields?: object) => void}}
+ */
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info:  (msg, fields) => write('info', msg, fields),
+  warn:  (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
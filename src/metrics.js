@@ -0,0 +1,70 @@
+// metrics.js
+
+/**
+ * In-process counters exposed at /metrics in the Prometheus text format.
+ * Every name gets the `flyfonebot_` prefix; labels are optional.
+ */
+
+const PREFIX = 'flyfonebot_';
+
+const COUNTERS = {
+  commands_total:               'Bot commands handled, by command.',
+  exports_total:                'Exports run, by target (sheet or file).',
+  rows_written_total:           'Call rows written to Google Sheets.',
+  flyfone_login_failures_total: 'Failed Flyfone logins.',
+  sheets_api_errors_total:      'Failed Google Sheets API calls.',
+  report_cache_requests_total:  'Flyfone report lookups, by result (hit or miss).',
+};
+
+// name → Map(label string → value)
+const values = new Map(Object.keys(COUNTERS).map(name => [name, new Map()]));
+
+let lastFlyfoneLogin = null;
+
+/**
+ * Add `by` to a counter.
+ * @param {keyof COUNTERS} name
+ * @param {Object<string, string>} [labels]
+ * @param {number} [by=1]
+ */
+export function inc(name, labels = {}, by = 1) {
+  const series = values.get(name);
+  if (!series) throw new Error(`Unknown metric "${name}"`);
+  const key = Object.entries(labels)
+    .map(([k, v]) => `${k}="${String(v).replace(/["\\\n]/g, c => (c === '\n' ? '\\n' : `\\${c}`))}"`)
+    .join(',');
+  series.set(key, (series.get(key) ?? 0) + by);
+}
+
+/** Note a successful Flyfone login (or a session found still valid). */
+export function recordFlyfoneLogin() {
+  lastFlyfoneLogin = new Date();
+}
+
+/** @returns {Date|null} */
+export function getLastFlyfoneLogin() {
+  return lastFlyfoneLogin;
+}
+
+/**
+ * All counters in the Prometheus text exposition format.
+ * @returns {string}
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const [name, help] of Object.entries(COUNTERS)) {
+    const full = PREFIX + name;
+    lines.push(`# HELP ${full} ${help}`, `# TYPE ${full} counter`);
+    const series = values.get(name);
+    if (series.size === 0) lines.push(`${full} 0`);
+    for (const [key, v] of series) lines.push(`${full}${key ? `{${key}}` : ''} ${v}`);
+  }
+
+  const gauge = PREFIX + 'flyfone_last_login_timestamp_seconds';
+  lines.push(
+    `# HELP ${gauge} Unix time of the last successful Flyfone login, 0 if none yet.`,
+    `# TYPE ${gauge} gauge`,
+    `${gauge} ${lastFlyfoneLogin ? Math.floor(lastFlyfoneLogin.getTime() / 1000) : 0}`
+  );
+  return lines.join('\n') + '\n';
+}
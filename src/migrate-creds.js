@@ -0,0 +1,15 @@
+// migrate-creds.js
+// One-off: move single-login rows into Flyfone accounts, encrypt plaintext
+// passwords and re-encrypt rows sealed with a retired key or bound to the
+// account id without its owner.
+// Run with `npm run migrate:creds`, after applying supabase/schema.sql.
+import 'dotenv/config';
+import { migrateFlyfoneCreds } from './state.js';
+
+try {
+  const { total, migrated } = await migrateFlyfoneCreds();
+  console.log(`✔️ Migrated ${migrated} of ${total} Flyfone account rows`);
+} catch (err) {
+  console.error('❌ Credential migration failed:', err);
+  process.exit(1);
+}
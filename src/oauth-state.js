@@ -0,0 +1,75 @@
+// oauth-state.js
+import { SignJWT, jwtVerify, errors } from 'jose';
+import { randomUUID } from 'crypto';
+import { saveOAuthNonce, takeOAuthNonce } from './state.js';
+
+/**
+ * The Google OAuth `state` parameter: an HS256 JWT naming the chat, signed
+ * with OAUTH_STATE_SECRET, valid for OAUTH_STATE_TTL and usable once. The
+ * nonce (`jti`) is stored when the link is issued and consumed by the
+ * callback, so a replayed or superseded link is refused.
+ */
+
+const ISSUER   = 'flyfonebot';
+const AUDIENCE = 'oauth2callback';
+const OAUTH_STATE_TTL = process.env.OAUTH_STATE_TTL || '10m';
+
+/** A callback whose state must not be trusted; `message` is user-facing. */
+export class OAuthStateError extends Error {}
+
+function loadSecret() {
+  const secret = process.env.OAUTH_STATE_SECRET || '';
+  if (secret.length < 32) {
+    throw new Error('Missing OAUTH_STATE_SECRET in environment (at least 32 characters)');
+  }
+  return new TextEncoder().encode(secret);
+}
+
+/**
+ * Issue a fresh state for `chatId`. Earlier links of the same chat stop working.
+ * @param {number} chatId
+ * @returns {Promise<string>}
+ */
+export async function createOAuthState(chatId) {
+  const nonce = randomUUID();
+  const jwt = await new SignJWT({})
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(String(chatId))
+    .setIssuer(ISSUER)
+    .setAudience(AUDIENCE)
+    .setJti(nonce)
+    .setIssuedAt()
+    .setExpirationTime(OAUTH_STATE_TTL)
+    .sign(loadSecret());
+  await saveOAuthNonce(chatId, nonce);
+  return jwt;
+}
+
+/**
+ * Check a state returned to /oauth2callback and consume its nonce.
+ * @param {string} state
+ * @returns {Promise<number>} the chat the authorization belongs to
+ * @throws {OAuthStateError} if the state is tampered, expired or already used
+ */
+export async function verifyOAuthState(state) {
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(state, loadSecret(), {
+      algorithms: ['HS256'],
+      issuer: ISSUER,
+      audience: AUDIENCE,
+    }));
+  } catch (err) {
+    if (err instanceof errors.JWTExpired) {
+      throw new OAuthStateError('This authorization link has expired.');
+    }
+    throw new OAuthStateError('This authorization link is invalid.');
+  }
+
+  const chatId = Number(payload.sub);
+  const nonce  = await takeOAuthNonce(payload.jti);
+  if (!nonce || Number(nonce.telegram_id) !== chatId) {
+    throw new OAuthStateError('This authorization link was already used or replaced by a newer one.');
+  }
+  return chatId;
+}
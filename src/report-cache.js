@@ -0,0 +1,109 @@
+// report-cache.js
+import { nowInScheduleTz } from './scheduler.js';
+import { inc } from './metrics.js';
+import { log } from './logger.js';
+
+/**
+ * In-memory cache of downloaded Flyfone reports, keyed by owner, account,
+ * date range and filters. Past days never change, so their reports stay until
+ * evicted; a range that reaches today expires after REPORT_CACHE_TODAY_TTL
+ * seconds. Beyond REPORT_CACHE_MAX_ENTRIES reports or REPORT_CACHE_MAX_CALLS
+ * calls in total, the least recently used reports are dropped.
+ */
+
+const REPORT_CACHE_TODAY_TTL   = Number(process.env.REPORT_CACHE_TODAY_TTL ?? 300);
+const REPORT_CACHE_MAX_ENTRIES = Number(process.env.REPORT_CACHE_MAX_ENTRIES) || 50;
+const REPORT_CACHE_MAX_CALLS   = Number(process.env.REPORT_CACHE_MAX_CALLS) || 200_000;
+
+// key → { chatId, accountId, calls, fetchedAt, expiresAt }, oldest use first
+const entries = new Map();
+// key → download in progress, so simultaneous commands share it
+const pending = new Map();
+let totalCalls = 0;
+
+// Account ids are only unique per user, so the owner is part of the key
+function cacheKey(chatId, accountId, range, filters) {
+  const f = Object.keys(filters).sort().map(k => `${k}=${filters[k]}`).join('&');
+  return `${chatId}|${accountId}|${range.from}|${range.to}|${f}`;
+}
+
+function remove(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  totalCalls -= entry.calls.length;
+  entries.delete(key);
+}
+
+function store(key, entry) {
+  // One report larger than the whole budget is served but not kept
+  if (entry.calls.length > REPORT_CACHE_MAX_CALLS) return;
+  entries.set(key, entry);
+  totalCalls += entry.calls.length;
+  for (const oldest of entries.keys()) {
+    if (entries.size <= REPORT_CACHE_MAX_ENTRIES && totalCalls <= REPORT_CACHE_MAX_CALLS) break;
+    remove(oldest);
+  }
+}
+
+/**
+ * The report for `range`, from the cache when still valid, otherwise from
+ * `download()` (whose result is then cached).
+ * @param {number} chatId owner of the account
+ * @param {string} accountId
+ * @param {{from: string, to: string}} range
+ * @param {object} filters see filters.js
+ * @param {() => Promise<import('./report.js').CallRecord[]>} download
+ * @returns {Promise<{calls: import('./report.js').CallRecord[], cachedAt: Date|null}>}
+ *   `cachedAt` is when the report was downloaded, null if just now
+ */
+export async function cachedReport(chatId, accountId, range, filters, download) {
+  const key   = cacheKey(chatId, accountId, range, filters);
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    // Re-insert to mark it as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    inc('report_cache_requests_total', { result: 'hit' });
+    return { calls: entry.calls, cachedAt: entry.fetchedAt };
+  }
+  remove(key);
+  inc('report_cache_requests_total', { result: 'miss' });
+
+  if (!pending.has(key)) {
+    pending.set(key, (async () => {
+      try {
+        const calls = await download();
+        const live  = range.to >= nowInScheduleTz().date;
+        store(key, {
+          chatId,
+          accountId,
+          calls,
+          fetchedAt: new Date(),
+          expiresAt: live ? Date.now() + REPORT_CACHE_TODAY_TTL * 1000 : Infinity,
+        });
+        log.debug('Report cached', { accountId, range, count: calls.length, live });
+        return calls;
+      } finally {
+        pending.delete(key);
+      }
+    })());
+  }
+  return { calls: await pending.get(key), cachedAt: null };
+}
+
+/**
+ * Drop the cached reports of one owner, or of one of their accounts, so the
+ * next request downloads them again.
+ * @param {{chatId: number, accountId?: string}} which
+ * @returns {number} reports dropped
+ */
+export function invalidateReports({ chatId, accountId }) {
+  let dropped = 0;
+  for (const [key, entry] of entries) {
+    if (entry.chatId === chatId && (accountId == null || entry.accountId === accountId)) {
+      remove(key);
+      dropped++;
+    }
+  }
+  return dropped;
+}
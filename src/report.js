@@ -0,0 +1,177 @@
+// report.js
+import XLSX from 'xlsx';
+
+/**
+ * Columns of the Flyfone voice export, located by header name instead of
+ * position. Each field lists the header spellings we accept; headers are
+ * compared case-, accent- and punctuation-insensitively.
+ */
+export const CALL_COLUMNS = {
+  callDate: { label: 'Call Date', required: true,  aliases: ['call date', 'date', 'ngay goi', 'ngay'] },
+  callTime: { label: 'Call Time', required: true,  aliases: ['call time', 'start time', 'time', 'gio goi', 'thoi gian bat dau'] },
+  endTime:  { label: 'End Time',  required: false, aliases: ['end time', 'thoi gian ket thuc', 'gio ket thuc'] },
+  agent:    { label: 'Caller',    required: true,  aliases: ['caller', 'agent', 'agent name', 'extension', 'nhan vien', 'nguoi goi'] },
+  team:     { label: 'Team',      required: true,  aliases: ['team', 'team name', 'group', 'nhom'] },
+  callee:   { label: 'Callee',    required: true,  aliases: ['callee', 'destination', 'phone', 'phone number', 'so nhan', 'so bi goi', 'so dien thoai'] },
+  status:   { label: 'Status',    required: true,  aliases: ['status', 'call status', 'trang thai'] },
+  duration: { label: 'Duration',  required: true,  aliases: ['duration', 'duration s', 'thoi luong', 'tong thoi gian'] },
+  talkTime: { label: 'Talktime',  required: true,  aliases: ['talktime', 'talk time', 'talktime s', 'billsec', 'thoi gian dam thoai'] },
+  hangupBy: { label: 'Hangup By', required: false, aliases: ['hangup by', 'hangup', 'hangup side', 'nguoi cup may', 'ben ngat may'] },
+};
+
+/**
+ * Header and row layout shared by every sheet/file export.
+ */
+export const SHEET_HEADER = [
+  'Caller', 'Team', 'Callee', 'Status', 'Duration', 'Talktime',
+  'Hangup By', 'Call Date', 'Call Time', 'End Time',
+];
+
+/**
+ * @typedef {object} CallRecord
+ * @property {string} callDate  YYYY-MM-DD when the export gives a real date
+ * @property {string} callTime  HH:mm:ss
+ * @property {string} endTime
+ * @property {string} agent
+ * @property {string} team
+ * @property {string} callee
+ * @property {string} status    upper-case, e.g. ANSWER / CANCEL / BUSY
+ * @property {number} duration  seconds
+ * @property {number} talkTime  seconds
+ * @property {string} hangupBy
+ */
+
+/**
+ * @param {CallRecord} c
+ * @returns {Array} one row in SHEET_HEADER order, durations as hh:mm:ss
+ */
+export function toSheetRow(c) {
+  return [c.agent, c.team, c.callee, c.status, hms(c.duration), hms(c.talkTime), c.hangupBy, c.callDate, c.callTime, c.endTime];
+}
+
+function hms(sec) {
+  const s = Math.round(sec);
+  return [Math.floor(s / 3600), Math.floor((s % 3600) / 60), s % 60].map(pad).join(':');
+}
+
+/**
+ * Turn the raw export (header row first, as returned by `sheet_to_json`
+ * with `header: 1`) into call records.
+ * Throws if a required column is missing, naming what was expected.
+ * @param {Array[]} rows
+ * @returns {CallRecord[]}
+ */
+export function parseCallRecords(rows) {
+  if (!rows || rows.length === 0) return [];
+
+  const index = mapHeader(rows[0]);
+  const missing = Object.entries(CALL_COLUMNS)
+    .filter(([field, col]) => col.required && index[field] === undefined)
+    .map(([, col]) => col.label);
+  if (missing.length) {
+    const found = rows[0].filter(h => h != null && h !== '').join(', ');
+    throw new Error(
+      `Flyfone report format changed: missing column(s) ${missing.join(', ')}. ` +
+      `Found: ${found || 'no header'}`
+    );
+  }
+
+  const cell = (r, field) => (index[field] === undefined ? undefined : r[index[field]]);
+
+  return rows.slice(1)
+    .filter(r => r && r.some(v => v != null && v !== ''))
+    .map(r => ({
+      callDate: toDateString(cell(r, 'callDate')),
+      callTime: toTimeString(cell(r, 'callTime')),
+      endTime:  toTimeString(cell(r, 'endTime')),
+      agent:    toText(cell(r, 'agent')),
+      team:     toText(cell(r, 'team')),
+      callee:   toText(cell(r, 'callee')),
+      status:   toText(cell(r, 'status')).toUpperCase(),
+      duration: toSeconds(cell(r, 'duration')),
+      talkTime: toSeconds(cell(r, 'talkTime')),
+      hangupBy: toText(cell(r, 'hangupBy')),
+    }));
+}
+
+// field → column index, first matching header wins
+function mapHeader(header) {
+  const index = {};
+  header.forEach((h, i) => {
+    const key = normalize(h);
+    if (!key) return;
+    for (const [field, col] of Object.entries(CALL_COLUMNS)) {
+      if (index[field] === undefined && col.aliases.includes(key)) {
+        index[field] = i;
+        break;
+      }
+    }
+  });
+  return index;
+}
+
+function normalize(h) {
+  return String(h ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'd')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function toText(v) {
+  return v == null ? '' : String(v).trim();
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Excel serial date or text → YYYY-MM-DD (text that isn't ISO is kept as-is)
+function toDateString(v) {
+  if (typeof v === 'number') {
+    const d = XLSX.SSF.parse_date_code(v);
+    return `${d.y}-${pad(d.m)}-${pad(d.d)}`;
+  }
+  const txt = toText(v);
+  const dmy = txt.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (dmy) return `${dmy[3]}-${pad(dmy[2])}-${pad(dmy[1])}`;
+  return txt.slice(0, 10).match(/^\d{4}-\d{2}-\d{2}$/) ? txt.slice(0, 10) : txt;
+}
+
+// Excel day fraction or text (“HH:mm[:ss]” or a full timestamp) → HH:mm:ss
+function toTimeString(v) {
+  if (typeof v === 'number') {
+    const d = XLSX.SSF.parse_date_code(v);
+    return `${pad(d.H)}:${pad(d.M)}:${pad(d.S)}`;
+  }
+  const txt = toText(v);
+  const m = txt.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  return m ? `${pad(m[1])}:${m[2]}:${m[3] ?? '00'}` : txt;
+}
+
+// Seconds as a number, or “[hh:]mm:ss” text → seconds
+function toSeconds(v) {
+  if (typeof v === 'number') return v;
+  const txt = toText(v);
+  if (!txt) return 0;
+  if (txt.includes(':')) {
+    return txt.split(':').map(Number).reduce((acc, n) => acc * 60 + (n || 0), 0);
+  }
+  return Number(txt) || 0;
+}
+
+/**
+ * Build a downloadable file with the same header and columns as the sheet
+ * export.
+ * @param {CallRecord[]} calls
+ * @param {'xlsx'|'csv'} format
+ * @returns {Buffer}
+ */
+export function buildExportFile(calls, format = 'xlsx') {
+  const ws = XLSX.utils.aoa_to_sheet([SHEET_HEADER, ...calls.map(toSheetRow)]);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'Calls');
+  return XLSX.write(wb, { type: 'buffer', bookType: format });
+}
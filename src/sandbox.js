@@ -0,0 +1,18 @@
+// sandbox.js
+// Run the bot against the fake Flyfone server (sandbox/flyfone-server.js)
+// with in-memory storage, so new flows never touch the real Flyfone tenant.
+// Run with `npm run sandbox` and log in with SANDBOX_EMAIL / SANDBOX_PASSWORD
+// (default demo@sandbox.local / sandbox). Only BOT_TOKEN is needed.
+import 'dotenv/config';
+import { randomBytes } from 'crypto';
+
+const port = process.env.SANDBOX_FLYFONE_PORT || 6570;
+process.env.FLYFONE_BASE    = `http://localhost:${port}`;
+process.env.STORAGE_BACKEND = 'memory';
+// Throwaway keys are fine: nothing outlives the process
+process.env.CREDS_ENCRYPTION_KEYS ||= `sandbox:${randomBytes(32).toString('base64')}`;
+process.env.OAUTH_STATE_SECRET    ||= randomBytes(32).toString('hex');
+
+const { startFakeFlyfone } = await import('./sandbox/flyfone-server.js');
+await startFakeFlyfone(port);
+await import('./bot.js');
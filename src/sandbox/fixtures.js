@@ -0,0 +1,130 @@
+// sandbox/fixtures.js
+import XLSX from 'xlsx';
+import dayjs from 'dayjs';
+
+/**
+ * Made-up call reports for the sandbox Flyfone server. Each day is generated
+ * from a seed derived from its date, so the same date always gives the same
+ * calls; today only has the calls placed before the current time.
+ */
+
+// Status codes accepted by the `status` export filter (0 = all)
+export const SANDBOX_STATUSES = { 1: 'ANSWER', 2: 'NOANSWER', 3: 'BUSY', 4: 'CANCEL' };
+
+// Team ids accepted by the `team_id` export filter (0 = all)
+export const SANDBOX_TEAMS = [
+  { id: 1, name: 'Sales',     agents: ['Linh', 'Minh', 'Hoa', 'Tuan'] },
+  { id: 2, name: 'Support',   agents: ['An', 'Bao', 'Khanh'] },
+  { id: 3, name: 'Retention', agents: ['Chi', 'Dung'] },
+];
+
+// Weighted draw of a status code: mostly answered
+const STATUS_WEIGHTS = [[1, 60], [2, 20], [3, 8], [4, 12]];
+
+const HEADER = [
+  'Call Date', 'Call Time', 'End Time', 'Caller', 'Team', 'Callee',
+  'Status', 'Duration', 'Talktime', 'Hangup By',
+];
+
+// mulberry32: small deterministic PRNG
+function seeded(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(s) {
+  let h = 2166136261;
+  for (const ch of s) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return h;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function clock(sec) {
+  return [Math.floor(sec / 3600), Math.floor((sec % 3600) / 60), sec % 60].map(pad).join(':');
+}
+
+/**
+ * All sandbox calls of one day, in time order.
+ * @param {string} dateStr YYYY-MM-DD
+ * @param {Date} [now] calls after this moment are left out
+ * @returns {{callDate: string, callTime: string, endTime: string, agent: string, team: string,
+ *            teamId: number, callee: string, statusCode: number, status: string,
+ *            duration: number, talkTime: number, hangupBy: string}[]}
+ */
+export function generateDay(dateStr, now = new Date()) {
+  const day = dayjs(dateStr);
+  if (day.isAfter(now, 'day')) return [];
+  const cutoff = day.isSame(now, 'day') ? now.getHours() * 3600 + now.getMinutes() * 60 : Infinity;
+  const rand = seeded(hashString(dateStr));
+  // Quiet Sundays, full weekdays
+  const load = day.day() === 0 ? 0.15 : day.day() === 6 ? 0.5 : 1;
+
+  const calls = [];
+  for (const team of SANDBOX_TEAMS) {
+    for (const agent of team.agents) {
+      const count = Math.round((25 + rand() * 35) * load);
+      for (let i = 0; i < count; i++) {
+        const start = 8 * 3600 + Math.floor(rand() * 10 * 3600);
+        let pick = rand() * 100;
+        const [statusCode] = STATUS_WEIGHTS.find(([, w]) => (pick -= w) < 0) ?? STATUS_WEIGHTS[0];
+        const ring     = 5 + Math.floor(rand() * 25);
+        const talkTime = statusCode === 1 ? 20 + Math.floor(rand() * 600) : 0;
+        const duration = ring + talkTime;
+        const call = {
+          callDate: dateStr,
+          callTime: clock(start),
+          endTime:  clock(start + duration),
+          agent,
+          team:     team.name,
+          teamId:   team.id,
+          callee:   '09' + String(Math.floor(rand() * 1e8)).padStart(8, '0'),
+          statusCode,
+          status:   SANDBOX_STATUSES[statusCode],
+          duration,
+          talkTime,
+          hangupBy: rand() < 0.5 ? 'caller' : 'callee',
+        };
+        // Drawn before the check, so later calls don't shift as today fills up
+        if (start + duration <= cutoff) calls.push(call);
+      }
+    }
+  }
+  return calls.sort((a, b) => a.callTime.localeCompare(b.callTime));
+}
+
+/**
+ * The voice export for an inclusive range as an .xlsx file, narrowed like
+ * Flyfone's own export query (see filters.js toExportQuery).
+ * @param {string} fromStr YYYY-MM-DD
+ * @param {string} toStr   YYYY-MM-DD
+ * @param {{phone?: string, status?: string, team_id?: string}} [query]
+ * @returns {Buffer}
+ */
+export function buildVoiceExport(fromStr, toStr, query = {}) {
+  const status = Number(query.status) || 0;
+  const teamId = Number(query.team_id) || 0;
+  const rows = [HEADER];
+  for (let d = dayjs(fromStr); !d.isAfter(toStr, 'day'); d = d.add(1, 'day')) {
+    for (const c of generateDay(d.format('YYYY-MM-DD'))) {
+      if (status && c.statusCode !== status) continue;
+      if (teamId && c.teamId !== teamId) continue;
+      if (query.phone && !c.callee.includes(query.phone)) continue;
+      rows.push([
+        c.callDate, c.callTime, c.endTime, c.agent, c.team, c.callee,
+        c.status, c.duration, c.talkTime, c.hangupBy,
+      ]);
+    }
+  }
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'Voice');
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
@@ -0,0 +1,152 @@
+// sandbox/flyfone-server.js
+import express from 'express';
+import { randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+import { buildVoiceExport } from './fixtures.js';
+import { log } from '../logger.js';
+
+/**
+ * Local stand-in for my.flyfonetalk.com, covering what FlyfoneClient uses:
+ *  - GET  /login             login form with a `csrf_webcall` token
+ *  - POST /login             302 to /dashboard, or the form again with
+ *                            “password is incorrect”
+ *  - GET  /dashboard         200 when logged in, else 302 to /login
+ *  - GET  /api/export/voice  generated .xlsx (see fixtures.js), else 302 to /login
+ *
+ * Sessions live in the `ci_session` cookie and expire after
+ * SANDBOX_SESSION_TTL seconds. To try the re-login paths on demand:
+ *  - POST /sandbox/expire             ends every session now
+ *  - POST /sandbox/expire?at=export   ends them at the next export, after
+ *                                     the dashboard check has passed
+ *
+ * Run alone with `npm run sandbox:flyfone`, or with the bot: `npm run sandbox`.
+ */
+
+const {
+  SANDBOX_FLYFONE_PORT = 6570,
+  SANDBOX_EMAIL    = 'demo@sandbox.local',
+  SANDBOX_PASSWORD = 'sandbox',
+} = process.env;
+const SANDBOX_SESSION_TTL = Number(process.env.SANDBOX_SESSION_TTL) || 1800;
+
+const COOKIE = 'ci_session';
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function page(body) {
+  return `<!doctype html><html><head><meta charset="utf-8"><title>Flyfone sandbox</title></head><body>${body}</body></html>`;
+}
+
+function loginForm(csrf, error = '') {
+  return page(
+    (error ? `<p class="error">${error}</p>` : '') +
+    '<form method="post" action="/login">' +
+    `<input type="hidden" name="csrf_webcall" value="${csrf}">` +
+    '<input name="username"><input name="password" type="password">' +
+    '<button>Login</button></form>'
+  );
+}
+
+/**
+ * Build the fake Flyfone app.
+ * @param {{email?: string, password?: string, sessionTtl?: number}} [options]
+ *   accepted login and session lifetime in seconds (defaults from the env)
+ * @returns {import('express').Express}
+ */
+export function createFakeFlyfone({
+  email = SANDBOX_EMAIL,
+  password = SANDBOX_PASSWORD,
+  sessionTtl = SANDBOX_SESSION_TTL,
+} = {}) {
+  // session id → { csrf, user, expiresAt }
+  const sessions = new Map();
+  let expireAtExport = false;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  // The caller's live session, or a fresh anonymous one (with its cookie set)
+  function sessionOf(req, res) {
+    const sid = req.headers.cookie?.match(new RegExp(`${COOKIE}=(\\w+)`))?.[1];
+    const sess = sid && sessions.get(sid);
+    if (sess && sess.expiresAt > Date.now()) return sess;
+    if (sid) sessions.delete(sid);
+
+    const id = randomBytes(16).toString('hex');
+    const fresh = { id, csrf: randomBytes(16).toString('hex'), user: null, expiresAt: Date.now() + sessionTtl * 1000 };
+    sessions.set(id, fresh);
+    res.cookie(COOKIE, id, { httpOnly: true, path: '/' });
+    return fresh;
+  }
+
+  app.get('/login', (req, res) => {
+    res.type('html').send(loginForm(sessionOf(req, res).csrf));
+  });
+
+  app.post('/login', (req, res) => {
+    const sess = sessionOf(req, res);
+    const { csrf_webcall: csrf, username, password: pass } = req.body ?? {};
+    if (!csrf || csrf !== sess.csrf) {
+      return res.status(403).type('html').send(page('The action you have requested is not allowed.'));
+    }
+    if (username !== email || pass !== password) {
+      log.info('Sandbox Flyfone: wrong password', { username });
+      return res.type('html').send(loginForm(sess.csrf, 'Your email or password is incorrect.'));
+    }
+    sess.user = username;
+    sess.expiresAt = Date.now() + sessionTtl * 1000;
+    log.info('Sandbox Flyfone: logged in', { username });
+    res.redirect(302, '/dashboard');
+  });
+
+  app.get('/dashboard', (req, res) => {
+    const sess = sessionOf(req, res);
+    if (!sess.user) return res.redirect(302, '/login');
+    res.type('html').send(page(`<h1>Dashboard</h1><p>Logged in as ${sess.user}</p>`));
+  });
+
+  app.get('/api/export/voice', (req, res) => {
+    if (expireAtExport) {
+      expireAtExport = false;
+      sessions.clear();
+    }
+    const sess = sessionOf(req, res);
+    if (!sess.user) return res.redirect(302, '/login');
+
+    const { from_date: from, to_date: to } = req.query;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from ?? '') || !/^\d{4}-\d{2}-\d{2}$/.test(to ?? '') || from > to) {
+      return res.status(400).json({ error: 'from_date and to_date (YYYY-MM-DD) are required' });
+    }
+    res.type(XLSX_TYPE)
+      .attachment(`voice_${from}_${to}.xlsx`)
+      .send(buildVoiceExport(from, to, req.query));
+  });
+
+  app.post('/sandbox/expire', (req, res) => {
+    if (req.query.at === 'export') {
+      expireAtExport = true;
+      return res.send('Sessions will expire at the next export.\n');
+    }
+    sessions.clear();
+    res.send('All sessions expired.\n');
+  });
+
+  return app;
+}
+
+/**
+ * Listen on SANDBOX_FLYFONE_PORT.
+ * @returns {Promise<import('http').Server>}
+ */
+export function startFakeFlyfone(port = SANDBOX_FLYFONE_PORT) {
+  return new Promise((resolve, reject) => {
+    const server = createFakeFlyfone().listen(port, () => {
+      log.info('Sandbox Flyfone listening', { port: Number(port), email: SANDBOX_EMAIL });
+      resolve(server);
+    });
+    server.on('error', reject);
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await startFakeFlyfone();
+}
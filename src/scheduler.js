@@ -0,0 +1,121 @@
+// scheduler.js
+import cron from 'node-cron';
+import { randomBytes } from 'crypto';
+import { getAllSchedules } from './state.js';
+
+const {
+  SCHEDULE_TZ,
+  // Working hours for KPI polling: every 15 min, 08:00–18:45, Mon–Sat
+  KPI_CRON = '*/15 8-18 * * 1-6',
+} = process.env;
+
+// “chatId:jobId” → node-cron task (job ids are only unique per user)
+const tasks = new Map();
+
+function taskKey(chatId, jobId) {
+  return `${chatId}:${jobId}`;
+}
+let runner = null;
+
+/**
+ * Parse `/schedule add` arguments: `<HH:MM> <yesterday|today> <team…> [append|overwrite]`.
+ * @param {string[]} parts
+ * @returns {{time: string, day: string, team: string, mode: string} | null}
+ */
+export function parseScheduleArgs(parts) {
+  if (parts.length < 3) return null;
+
+  const tm = parts[0].match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!tm) return null;
+  const time = `${tm[1].padStart(2, '0')}:${tm[2]}`;
+
+  const day = parts[1].toLowerCase();
+  if (!['yesterday', 'today'].includes(day)) return null;
+
+  let rest = parts.slice(2);
+  let mode = 'append';
+  const last = rest[rest.length - 1].toLowerCase();
+  if (['append', 'overwrite'].includes(last)) {
+    mode = last;
+    rest = rest.slice(0, -1);
+  }
+  const team = rest.join(' ').trim().toLowerCase();
+  if (!team) return null;
+
+  return { time, day, team, mode };
+}
+
+/**
+ * Create a new job object with a short random id, unique among the user's jobs.
+ * @param {number} chatId
+ * @param {{time: string, day: string, team: string, mode: string}} fields
+ * @param {string[]} [taken] ids of the user's existing jobs
+ */
+export function newJob(chatId, fields, taken = []) {
+  let id;
+  do id = randomBytes(3).toString('hex'); while (taken.includes(id));
+  return { id, chatId, ...fields };
+}
+
+/**
+ * Arm (or re-arm) the cron task for a job.
+ * @param {{id: string, chatId: number, time: string}} job
+ */
+export function registerJob(job) {
+  unregisterJob(job.chatId, job.id);
+  const [h, m] = job.time.split(':').map(Number);
+  const task = cron.schedule(`${m} ${h} * * *`, () => runner(job), {
+    name: `export-${job.chatId}-${job.id}`,
+    timezone: SCHEDULE_TZ,
+    noOverlap: true,
+  });
+  tasks.set(taskKey(job.chatId, job.id), task);
+}
+
+/**
+ * Stop and forget the cron task for a job, if armed.
+ * @param {number} chatId
+ * @param {string} jobId
+ */
+export function unregisterJob(chatId, jobId) {
+  const key  = taskKey(chatId, jobId);
+  const task = tasks.get(key);
+  if (!task) return;
+  task.destroy();
+  tasks.delete(key);
+}
+
+/**
+ * Load every stored job and arm it. `runJob(job)` is called on each tick.
+ * @param {(job: object) => Promise<void>} runJob
+ * @returns {Promise<number>} number of jobs armed
+ */
+export async function startScheduler(runJob) {
+  runner = runJob;
+  const jobs = await getAllSchedules();
+  jobs.forEach(registerJob);
+  return jobs.length;
+}
+
+/**
+ * Current date and time in SCHEDULE_TZ (or the server's zone).
+ * @returns {{date: string, time: string}} “YYYY-MM-DD”, “HH:mm”
+ */
+export function nowInScheduleTz() {
+  const now = new Date();
+  const date = now.toLocaleDateString('en-CA', { timeZone: SCHEDULE_TZ });
+  const time = now.toLocaleTimeString('en-GB', { timeZone: SCHEDULE_TZ, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  return { date, time };
+}
+
+/**
+ * Arm the intraday KPI poller on KPI_CRON.
+ * @param {() => Promise<void>} runChecks
+ */
+export function startKpiPoller(runChecks) {
+  cron.schedule(KPI_CRON, () => runChecks(), {
+    name: 'kpi-poller',
+    timezone: SCHEDULE_TZ,
+    noOverlap: true,
+  });
+}
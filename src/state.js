@@ -1,273 +1,787 @@
 // state.js
-import { supabase } from './supabase.js';
+import { storage } from './storage/index.js';
+import { randomBytes } from 'crypto';
 import { CookieJar } from 'tough-cookie';
+import { encryptSecret, decryptSecret, needsReencrypt } from './encryption.js';
+import { log } from './logger.js';
 
 
 /**
- * Load flyfoneCreds, sessionMap, sheetMap from disk at startup.
+ * Per-user state (tokens, Flyfone accounts, sessions, sheet map, cookies,
+ * schedules).
+ * Every function goes through the backend chosen by STORAGE_BACKEND,
+ * see storage/index.js.
  */
 
 /**
- * Save flyfoneCreds, sessionMap, sheetMap to disk before shutdown.
- */
-
-/**
- * Retrieve a user's Google OAuth refresh token from Supabase.
+ * Retrieve a user's Google OAuth refresh token from storage.
  * @param {number} chatId
  * @returns {Promise<string|null>}
  */
 export async function getRefreshToken(chatId) {
-  const { data, error } = await supabase
-    .from('user_tokens')
-    .select('refresh_token')
-    .eq('telegram_id', chatId)
-    .single();
+  const { data, error } = await storage.select('user_tokens', { telegram_id: chatId });
+  const row = data?.[0];
 
-  if (error && error.code !== 'PGRST116') {
-    console.error('Error fetching refresh token:', error);
+  if (error) {
+    log.error('Error fetching refresh token', { err: error });
     throw error;
   }
-  return data?.refresh_token ?? null;
+  return row?.refresh_token ?? null;
 }
 
 /**
- * Delete a user's Google OAuth refresh token from Supabase.
+ * Delete a user's Google OAuth refresh token from storage.
  * @param {number} chatId
  * @returns {Promise<void>}
  */
 export async function deleteRefreshToken(chatId) {
-  const { error } = await supabase
-    .from('user_tokens')
-    .delete()
-    .eq('telegram_id', chatId);
+  const { error } = await storage.remove('user_tokens', { telegram_id: chatId });
 
   if (error) {
-    console.error('Error deleting refresh token:', error);
+    log.error('Error deleting refresh token', { err: error });
     throw error;
   }
 }
 
 /**
- * Save or update a user's Google OAuth refresh token in Supabase.
+ * Save or update a user's Google OAuth refresh token in storage.
  * @param {number} chatId
  * @param {string} refresh_token
  * @returns {Promise<void>}
  */
 export async function saveRefreshToken(chatId, refresh_token) {
-  const { error } = await supabase
-    .from('user_tokens')
-    .upsert({ telegram_id: chatId, refresh_token }, { onConflict: 'telegram_id' });
+  const { error } = await storage.upsert('user_tokens', { telegram_id: chatId, refresh_token });
 
 
   if (error) {
-    console.error('Error saving refresh token:', error);
+    log.error('Error saving refresh token', { err: error });
     throw error;
   }
 }
 
 /**
- * Retrieve Flyfone credentials from Supabase.
+ * Flyfone logins. A user can keep several accounts (one per tenant); each
+ * row holds a display name and the encrypted password, and exactly one of
+ * them is `active` and used by reports unless a caller asks for another.
+ *
+ * @typedef {object} FlyfoneAccount
+ * @property {string} id
+ * @property {string} name
+ * @property {string} email
+ * @property {boolean} active
+ */
+
+/**
+ * Short random id for a new Flyfone account, typed in /accounts commands.
+ * Unique per user only: rows are keyed by (telegram_id, id).
+ * @param {string[]} [taken] ids of the user's existing accounts
+ * @returns {string}
+ */
+export function newAccountId(taken = []) {
+  let id;
+  do id = randomBytes(3).toString('hex'); while (taken.includes(id));
+  return id;
+}
+
+/**
+ * List a user's Flyfone accounts, oldest first, without passwords.
  * @param {number} chatId
- * @returns {Promise<{email: string, pass: string} | null>}
+ * @returns {Promise<FlyfoneAccount[]>}
  */
-export async function getFlyfoneCreds(chatId) {
-  const { data, error } = await supabase
-    .from('flyfone_creds')
-    .select('email, pass')
-    .eq('telegram_id', chatId)
-    .single();
+export async function getFlyfoneAccounts(chatId) {
+  const rows = await accountRows(chatId);
+  return rows.map(({ id, name, email, active }) => ({ id, name, email, active: !!active }));
+}
 
-  if (error && error.code !== 'PGRST116') {
-    console.error('Error fetching Flyfone credentials:', error);
+/**
+ * Retrieve Flyfone credentials from storage: the given account, or the
+ * active one.
+ * @param {number} chatId
+ * @param {string} [accountId]
+ * @returns {Promise<{id: string, name: string, email: string, pass: string} | null>}
+ */
+export async function getFlyfoneCreds(chatId, accountId = null) {
+  const rows = await accountRows(chatId);
+  const row = accountId
+    ? rows.find(r => r.id === accountId)
+    : rows.find(r => r.active) ?? rows[0];
+
+  if (!row) return null;
+  return { id: row.id, name: row.name, email: row.email, pass: decryptSecret(row.pass, credsContext(chatId, row.id)) };
+}
+
+/**
+ * Save or update a Flyfone account in storage and make it the active one.
+ * The password is encrypted before it leaves the process.
+ * @param {number} chatId
+ * @param {{id: string, name: string, email: string, pass: string}} account
+ * @returns {Promise<void>}
+ */
+export async function saveFlyfoneCreds(chatId, { id, name, email, pass }) {
+  log.debug('Saving Flyfone account', { chatId, accountId: id });
+  const prev = (await accountRows(chatId)).find(r => r.id === id);
+  const { error } = await storage.upsert('flyfone_accounts', {
+    id,
+    telegram_id: chatId,
+    name,
+    email,
+    pass: encryptSecret(pass, credsContext(chatId, id)),
+    added_at: prev?.added_at ?? new Date().toISOString(),
+  });
+
+  if (error) {
+    log.error('Error saving Flyfone account', { err: error });
     throw error;
   }
-  return data ?? null;
+  await setActiveFlyfoneAccount(chatId, id);
+}
+
+/**
+ * Make one of a user's Flyfone accounts the active one.
+ * @param {number} chatId
+ * @param {string} accountId
+ * @returns {Promise<void>}
+ */
+export async function setActiveFlyfoneAccount(chatId, accountId) {
+  for (const row of await accountRows(chatId)) {
+    const active = row.id === accountId;
+    if (!!row.active === active) continue;
+    const { error } = await storage.upsert('flyfone_accounts', { id: row.id, telegram_id: chatId, active });
+    if (error) {
+      log.error('Error switching Flyfone account', { err: error });
+      throw error;
+    }
+  }
 }
 
 /**
- * Save or update Flyfone credentials in Supabase.
+ * Rename a Flyfone account.
  * @param {number} chatId
- * @param {string} email
- * @param {string} pass
+ * @param {string} accountId
+ * @param {string} name
  * @returns {Promise<void>}
  */
-export async function saveFlyfoneCreds(chatId, email, pass) {
-  console.log(`💾 saveFlyfoneCreds(${chatId}, ${email})`);
-  const { data, error } = await supabase
-    .from('flyfone_creds')
-    .upsert({ telegram_id: chatId, email, pass });
+export async function renameFlyfoneAccount(chatId, accountId, name) {
+  const { error } = await storage.upsert('flyfone_accounts', { id: accountId, telegram_id: chatId, name });
 
-  if (error) console.error('❌ saveFlyfoneCreds error:', error);
- else       console.log('✔️ saveFlyfoneCreds OK:', data);
-  return { data, error };
+  if (error) {
+    log.error('Error renaming Flyfone account', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Delete one Flyfone account and its cookies. If it was active, the oldest
+ * remaining account becomes active.
+ * @param {number} chatId
+ * @param {string} accountId
+ * @returns {Promise<void>}
+ */
+export async function deleteFlyfoneAccount(chatId, accountId) {
+  const { error } = await storage.remove('flyfone_accounts', { telegram_id: chatId, id: accountId });
+
+  if (error) {
+    log.error('Error deleting Flyfone account', { err: error });
+    throw error;
+  }
+  await removeCookies(chatId, accountId);
+
+  const rest = await accountRows(chatId);
+  if (rest.length && !rest.some(r => r.active)) {
+    await setActiveFlyfoneAccount(chatId, rest[0].id);
+  }
+}
+
+/**
+ * Move every single-login row left in `flyfone_creds` into `flyfone_accounts`,
+ * then re-encrypt every stored Flyfone password that is still plaintext,
+ * sealed with a retired key or bound to the account id alone. Safe to run
+ * repeatedly.
+ * @returns {Promise<{total: number, migrated: number}>}
+ */
+export async function migrateFlyfoneCreds() {
+  const { data: legacy, error: legacyErr } = await storage.select('flyfone_creds');
+
+  if (legacyErr) {
+    log.error('Error fetching Flyfone credentials', { err: legacyErr });
+    throw legacyErr;
+  }
+  for (const row of legacy ?? []) await adoptLegacyCreds(row.telegram_id);
+
+  const { data, error } = await storage.select('flyfone_accounts');
+
+  if (error) {
+    log.error('Error fetching Flyfone accounts', { err: error });
+    throw error;
+  }
+
+  let migrated = legacy?.length ?? 0;
+  for (const row of data ?? []) {
+    const ctx = credsContext(row.telegram_id, row.id);
+    let plain;
+    let stale = needsReencrypt(row.pass);
+    try {
+      plain = decryptSecret(row.pass, ctx);
+    } catch {
+      plain = decryptSecret(row.pass, `flyfone_accounts:${row.id}`);
+      stale = true;
+    }
+    if (!stale) continue;
+    const pass = encryptSecret(plain, ctx);
+    const { error: upErr } = await storage.upsert('flyfone_accounts', { ...row, pass });
+    if (upErr) {
+      log.error('Error re-encrypting credentials', { accountId: row.id, err: upErr });
+      throw upErr;
+    }
+    migrated++;
+  }
+  return { total: data?.length ?? 0, migrated };
+}
+
+// Associated data binding an encrypted password to its account row. Account
+// ids are only unique per user, so the owner is part of it. Rows sealed with
+// `flyfone_accounts:<id>` alone are re-sealed by migrateFlyfoneCreds.
+function credsContext(chatId, accountId) {
+  return `flyfone_accounts:${chatId}:${accountId}`;
+}
+
+// All account rows of a user, oldest first. A user who logged in before
+// multiple accounts existed still has a `flyfone_creds` row; adopt it.
+async function accountRows(chatId) {
+  const { data, error } = await storage.select('flyfone_accounts', { telegram_id: chatId });
+
+  if (error) {
+    log.error('Error fetching Flyfone accounts', { err: error });
+    throw error;
+  }
+  if (!data?.length) return adoptLegacyCreds(chatId);
+  return data.sort((a, b) => String(a.added_at).localeCompare(String(b.added_at)));
+}
+
+async function adoptLegacyCreds(chatId) {
+  const { data, error } = await storage.select('flyfone_creds', { telegram_id: chatId });
+  const row = data?.[0];
+
+  if (error) {
+    log.error('Error fetching Flyfone credentials', { err: error });
+    throw error;
+  }
+  if (!row) return [];
+
+  const id = newAccountId();
+  const account = {
+    id,
+    telegram_id: chatId,
+    name: row.email,
+    email: row.email,
+    pass: encryptSecret(decryptSecret(row.pass, `flyfone_creds:${chatId}`), credsContext(chatId, id)),
+    active: true,
+    added_at: new Date().toISOString(),
+  };
+  const { error: upErr } = await storage.upsert('flyfone_accounts', account);
+  if (upErr) {
+    log.error('Error adopting Flyfone credentials', { err: upErr });
+    throw upErr;
+  }
+  await storage.remove('flyfone_creds', { telegram_id: chatId });
+  return [account];
 }
 
 /**
- * Delete Flyfone credentials from Supabase.
+ * Delete all of a user's Flyfone accounts from storage.
  * @param {number} chatId
  * @returns {Promise<void>}
  */
 export async function deleteFlyfoneCreds(chatId) {
-  const { error } = await supabase
-    .from('flyfone_creds')
-    .delete()
-    .eq('telegram_id', chatId);
+  const results = await Promise.all([
+    storage.remove('flyfone_accounts', { telegram_id: chatId }),
+    storage.remove('flyfone_creds', { telegram_id: chatId }),
+  ]);
+  const error = results.find(r => r.error)?.error;
 
   if (error) {
-    console.error('Error deleting Flyfone credentials:', error);
+    log.error('Error deleting Flyfone credentials', { err: error });
     throw error;
   }
 }
 
 /**
- * Retrieve session data from Supabase.
+ * Retrieve session data from storage.
  * @param {number} chatId
  * @returns {Promise<object | null>}
  */
 export async function getSession(chatId) {
-  const { data, error } = await supabase
-    .from('sessions')
-    .select('session_json')
-    .eq('telegram_id', chatId)
-    .single();
+  const { data, error } = await storage.select('sessions', { telegram_id: chatId });
+  const row = data?.[0];
 
-  if (error && error.code !== 'PGRST116') {
-    console.error('Error fetching session:', error);
+  if (error) {
+    log.error('Error fetching session', { err: error });
     throw error;
   }
-  return data ? JSON.parse(data.session_json) : null;
+  return row ? JSON.parse(row.session_json) : null;
 }
 
 /**
- * Save or update session data in Supabase.
+ * Save or update session data in storage.
  * @param {number} chatId
  * @param {object} sessionObj
  * @returns {Promise<void>}
  */
 export async function saveSession(chatId, sessionObj) {
-  const { error } = await supabase
-    .from('sessions')
-    .upsert({ telegram_id: chatId, session_json: JSON.stringify(sessionObj) });
+  const { error } = await storage.upsert('sessions', { telegram_id: chatId, session_json: JSON.stringify(sessionObj) });
 
   if (error) {
-    console.error('Error saving session:', error);
+    log.error('Error saving session', { err: error });
     throw error;
   }
 }
 
 /**
- * Delete session data from Supabase.
+ * Delete session data from storage.
  * @param {number} chatId
  * @returns {Promise<void>}
  */
 export async function deleteSession(chatId) {
-  const { error } = await supabase
-    .from('sessions')
-    .delete()
-    .eq('telegram_id', chatId);
+  const { error } = await storage.remove('sessions', { telegram_id: chatId });
 
   if (error) {
-    console.error('Error deleting session:', error);
+    log.error('Error deleting session', { err: error });
     throw error;
   }
 }
 
 /**
- * Retrieve sheet ID from Supabase.
+ * Retrieve sheet ID from storage.
  * @param {number} chatId
  * @returns {Promise<string | null>}
  */
 export async function getSheet(chatId) {
-  const { data, error } = await supabase
-    .from('sheet_map')
-    .select('sheet_id')
-    .eq('telegram_id', chatId)
-    .single();
+  const { data, error } = await storage.select('sheet_map', { telegram_id: chatId });
+  const row = data?.[0];
 
-  if (error && error.code !== 'PGRST116') {
-    console.error('Error fetching sheet ID:', error);
+  if (error) {
+    log.error('Error fetching sheet ID', { err: error });
     throw error;
   }
-  return data?.sheet_id ?? null;
+  return row?.sheet_id ?? null;
 }
 
 /**
- * Save or update sheet ID in Supabase.
+ * Save or update sheet ID in storage.
  * @param {number} chatId
  * @param {string} sheetId
  * @returns {Promise<void>}
  */
 export async function saveSheet(chatId, sheetId) {
-  const { error } = await supabase
-    .from('sheet_map')
-    .upsert({ telegram_id: chatId, sheet_id: sheetId });
+  const { error } = await storage.upsert('sheet_map', { telegram_id: chatId, sheet_id: sheetId });
+
+  if (error) {
+    log.error('Error saving sheet ID', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Retrieve the team → spreadsheet mapping (team names lowercase). Teams not
+ * in it are written to the default sheet from getSheet.
+ * @param {number} chatId
+ * @returns {Promise<Object<string, string>>}
+ */
+export async function getTeamSheets(chatId) {
+  const { data, error } = await storage.select('sheet_map', { telegram_id: chatId });
+  const row = data?.[0];
+
+  if (error) {
+    log.error('Error fetching team sheets', { err: error });
+    throw error;
+  }
+  return row?.team_sheets_json ? JSON.parse(row.team_sheets_json) : {};
+}
+
+/**
+ * Save the team → spreadsheet mapping.
+ * @param {number} chatId
+ * @param {Object<string, string>} teamSheets
+ * @returns {Promise<void>}
+ */
+export async function saveTeamSheets(chatId, teamSheets) {
+  const { error } = await storage.upsert('sheet_map', { telegram_id: chatId, team_sheets_json: JSON.stringify(teamSheets) });
+
+  if (error) {
+    log.error('Error saving team sheets', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Retrieve the tab strategy for the linked sheet (see gsheets.js).
+ * @param {number} chatId
+ * @returns {Promise<string>}
+ */
+export async function getTabStrategy(chatId) {
+  const { data, error } = await storage.select('sheet_map', { telegram_id: chatId });
+  const row = data?.[0];
+
+  if (error) {
+    log.error('Error fetching tab strategy', { err: error });
+    throw error;
+  }
+  return row?.tab_strategy ?? 'single';
+}
+
+/**
+ * Save the tab strategy for the linked sheet.
+ * @param {number} chatId
+ * @param {string} strategy
+ * @returns {Promise<void>}
+ */
+export async function saveTabStrategy(chatId, strategy) {
+  const { error } = await storage.upsert('sheet_map', { telegram_id: chatId, tab_strategy: strategy });
+
+  if (error) {
+    log.error('Error saving tab strategy', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Whether sheet exports should also refresh the “Hourly” chart tab.
+ * @param {number} chatId
+ * @returns {Promise<boolean>}
+ */
+export async function getHourlyTab(chatId) {
+  const { data, error } = await storage.select('sheet_map', { telegram_id: chatId });
+  const row = data?.[0];
+
+  if (error) {
+    log.error('Error fetching hourly tab setting', { err: error });
+    throw error;
+  }
+  return row?.hourly_tab ?? false;
+}
+
+/**
+ * Turn the “Hourly” chart tab on or off for sheet exports.
+ * @param {number} chatId
+ * @param {boolean} enabled
+ * @returns {Promise<void>}
+ */
+export async function saveHourlyTab(chatId, enabled) {
+  const { error } = await storage.upsert('sheet_map', { telegram_id: chatId, hourly_tab: enabled });
 
   if (error) {
-    console.error('Error saving sheet ID:', error);
+    log.error('Error saving hourly tab setting', { err: error });
     throw error;
   }
 }
 
 /**
- * Delete sheet ID from Supabase.
+ * Delete sheet ID from storage.
  * @param {number} chatId
  * @returns {Promise<void>}
  */
 export async function deleteSheet(chatId) {
-  const { error } = await supabase
-    .from('sheet_map')
-    .delete()
-    .eq('telegram_id', chatId);
+  const { error } = await storage.remove('sheet_map', { telegram_id: chatId });
 
   if (error) {
-    console.error('Error deleting sheet ID:', error);
+    log.error('Error deleting sheet ID', { err: error });
     throw error;
   }
 }
 
 /**
- * Retrieve cookies from Supabase.
+ * Retrieve the cookie jar of one Flyfone account from storage.
  * @param {number} chatId
+ * @param {string} accountId
  * @returns {Promise<CookieJar>}
  */
-export async function loadCookies(chatId) {
-  const { data, error } = await supabase
-    .from('cookies')
-    .select('cookie_json')
-    .eq('telegram_id', chatId)
-    .single();
+export async function loadCookies(chatId, accountId) {
+  const { data, error } = await storage.select('cookies', { telegram_id: chatId, id: accountId });
+  const row = data?.[0];
 
-  if (error && error.code !== 'PGRST116') {
-    console.error('Error fetching cookies:', error);
+  if (error) {
+    log.error('Error fetching cookies', { err: error });
     return new CookieJar(); // Return new jar instead of throwing
   }
-  return data ? CookieJar.fromJSON(JSON.parse(data.cookie_json)) : new CookieJar();
+  return row ? CookieJar.fromJSON(JSON.parse(row.cookie_json)) : new CookieJar();
 }
 /**
- * Save or update cookies in Supabase.
+ * Save or update the cookie jar of one Flyfone account in storage.
  * @param {number} chatId
+ * @param {string} accountId
  * @param {CookieJar} cookieJar
  * @returns {Promise<void>}
  */
-export async function saveCookies(chatId, cookieJar) {
-  const { error } = await supabase
-    .from('cookies')
-    .upsert({ telegram_id: chatId, cookie_json: JSON.stringify(cookieJar.toJSON()) });
+export async function saveCookies(chatId, accountId, cookieJar) {
+  const { error } = await storage.upsert('cookies', { id: accountId, telegram_id: chatId, cookie_json: JSON.stringify(cookieJar.toJSON()) });
+
+  if (error) {
+    log.error('Error saving cookies', { err: error });
+    throw error;
+  }
+}
+
+async function removeCookies(chatId, accountId) {
+  const { error } = await storage.remove('cookies', { telegram_id: chatId, id: accountId });
 
   if (error) {
-    console.error('Error saving cookies:', error);
+    log.error('Error deleting cookies', { err: error });
     throw error;
   }
 }
 
 export async function removeAllCookies(chatId) {
-  const { error } = await supabase
-    .from('cookies')
-    .delete()
-    .eq('telegram_id', chatId);
+  const { error } = await storage.remove('cookies', { telegram_id: chatId });
+
+  if (error) {
+    log.error('Error deleting cookies', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Retrieve all scheduled exports of one user from storage.
+ * @param {number} chatId
+ * @returns {Promise<object[]>}
+ */
+export async function getSchedules(chatId) {
+  const { data, error } = await storage.select('schedules', { telegram_id: chatId });
 
   if (error) {
-    console.error('Error deleting cookies:', error);
+    log.error('Error fetching schedules', { err: error });
     throw error;
   }
-}
\ No newline at end of file
+  return (data ?? []).map(r => JSON.parse(r.job_json));
+}
+
+/**
+ * Retrieve every user's scheduled exports (used to re-arm jobs at startup).
+ * @returns {Promise<object[]>}
+ */
+export async function getAllSchedules() {
+  const { data, error } = await storage.select('schedules');
+
+  if (error) {
+    log.error('Error fetching all schedules', { err: error });
+    throw error;
+  }
+  return (data ?? []).map(r => JSON.parse(r.job_json));
+}
+
+/**
+ * Save or update a scheduled export in storage.
+ * @param {number} chatId
+ * @param {{id: string}} job
+ * @returns {Promise<void>}
+ */
+export async function saveSchedule(chatId, job) {
+  const { error } = await storage.upsert('schedules', { id: job.id, telegram_id: chatId, job_json: JSON.stringify(job) });
+
+  if (error) {
+    log.error('Error saving schedule', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Delete one scheduled export from storage.
+ * @param {number} chatId
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+export async function deleteSchedule(chatId, jobId) {
+  const { error } = await storage.remove('schedules', { telegram_id: chatId, id: jobId });
+
+  if (error) {
+    log.error('Error deleting schedule', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Delete all scheduled exports of one user from storage.
+ * @param {number} chatId
+ * @returns {Promise<void>}
+ */
+export async function deleteSchedules(chatId) {
+  const { error } = await storage.remove('schedules', { telegram_id: chatId });
+
+  if (error) {
+    log.error('Error deleting schedules', { err: error });
+    throw error;
+  }
+}
+
+
+/**
+ * Retrieve all KPI alert rules of one user from storage.
+ * @param {number} chatId
+ * @returns {Promise<object[]>}
+ */
+export async function getKpiRules(chatId) {
+  const { data, error } = await storage.select('kpi_rules', { telegram_id: chatId });
+
+  if (error) {
+    log.error('Error fetching KPI rules', { err: error });
+    throw error;
+  }
+  return (data ?? []).map(r => JSON.parse(r.rule_json));
+}
+
+/**
+ * Retrieve every user's KPI alert rules (used by the poller).
+ * @returns {Promise<object[]>}
+ */
+export async function getAllKpiRules() {
+  const { data, error } = await storage.select('kpi_rules');
+
+  if (error) {
+    log.error('Error fetching all KPI rules', { err: error });
+    throw error;
+  }
+  return (data ?? []).map(r => JSON.parse(r.rule_json));
+}
+
+/**
+ * Save or update a KPI alert rule in storage.
+ * @param {number} chatId
+ * @param {{id: string}} rule
+ * @returns {Promise<void>}
+ */
+export async function saveKpiRule(chatId, rule) {
+  const { error } = await storage.upsert('kpi_rules', { id: rule.id, telegram_id: chatId, rule_json: JSON.stringify(rule) });
+
+  if (error) {
+    log.error('Error saving KPI rule', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Delete one KPI alert rule from storage.
+ * @param {number} chatId
+ * @param {string} ruleId
+ * @returns {Promise<void>}
+ */
+export async function deleteKpiRule(chatId, ruleId) {
+  const { error } = await storage.remove('kpi_rules', { telegram_id: chatId, id: ruleId });
+
+  if (error) {
+    log.error('Error deleting KPI rule', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Delete all KPI alert rules of one user from storage.
+ * @param {number} chatId
+ * @returns {Promise<void>}
+ */
+export async function deleteKpiRules(chatId) {
+  const { error } = await storage.remove('kpi_rules', { telegram_id: chatId });
+
+  if (error) {
+    log.error('Error deleting KPI rules', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Retrieve the admin whose Flyfone account a group chat reads from.
+ * @param {number} groupId
+ * @returns {Promise<number|null>}
+ */
+export async function getGroupOwner(groupId) {
+  const { data, error } = await storage.select('group_links', { telegram_id: groupId });
+  const row = data?.[0];
+
+  if (error) {
+    log.error('Error fetching group owner', { err: error });
+    throw error;
+  }
+  return row?.owner_id ?? null;
+}
+
+/**
+ * Link a group chat to an admin's Flyfone account.
+ * @param {number} groupId
+ * @param {number} ownerId Telegram user id of the admin
+ * @returns {Promise<void>}
+ */
+export async function saveGroupOwner(groupId, ownerId) {
+  const { error } = await storage.upsert('group_links', { telegram_id: groupId, owner_id: ownerId });
+
+  if (error) {
+    log.error('Error saving group owner', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Unlink a group chat.
+ * @param {number} groupId
+ * @returns {Promise<void>}
+ */
+export async function deleteGroupOwner(groupId) {
+  const { error } = await storage.remove('group_links', { telegram_id: groupId });
+
+  if (error) {
+    log.error('Error deleting group owner', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Remember the nonce of the OAuth state just issued to a user. Only the
+ * newest one is kept, so earlier links stop working.
+ * @param {number} chatId
+ * @param {string} nonce
+ * @returns {Promise<void>}
+ */
+export async function saveOAuthNonce(chatId, nonce) {
+  const { error: rmErr } = await storage.remove('oauth_nonces', { telegram_id: chatId });
+  const { error } = rmErr ? { error: rmErr } : await storage.upsert('oauth_nonces', { id: nonce, telegram_id: chatId });
+
+  if (error) {
+    log.error('Error saving OAuth nonce', { err: error });
+    throw error;
+  }
+}
+
+/**
+ * Consume an OAuth state nonce: returns its row and deletes it, or null if
+ * it was never issued or is already used.
+ * @param {string} nonce
+ * @returns {Promise<{id: string, telegram_id: number} | null>}
+ */
+export async function takeOAuthNonce(nonce) {
+  if (!nonce) return null;
+  const { data, error } = await storage.select('oauth_nonces', { id: nonce });
+  const row = data?.[0];
+
+  if (error) {
+    log.error('Error fetching OAuth nonce', { err: error });
+    throw error;
+  }
+  if (!row) return null;
+
+  const { error: rmErr } = await storage.remove('oauth_nonces', { id: nonce });
+  if (rmErr) {
+    log.error('Error deleting OAuth nonce', { err: rmErr });
+    throw rmErr;
+  }
+  return row;
+}
+
+/**
+ * Throws if the storage backend cannot be queried (used by /readyz).
+ * @returns {Promise<void>}
+ */
+export async function pingStorage() {
+  const { error } = await storage.select('sessions', { telegram_id: 0 });
+
+  if (error) {
+    log.error('Storage ping failed', { err: error });
+    throw error;
+  }
+}
@@ -0,0 +1,213 @@
+// stats.js
+
+/**
+ * @typedef {object} CallStats
+ * @property {number} total
+ * @property {Object<string, number>} byStatus   ANSWER / CANCEL / BUSY / …
+ * @property {number} answered
+ * @property {number} answerRate     percent, 0–100
+ * @property {number} talkTime       seconds, all calls
+ * @property {number} avgTalkTime    seconds, per answered call
+ * @property {number} duration       seconds, all calls
+ * @property {number} avgDuration    seconds, per call
+ * @property {import('./report.js').CallRecord|null} longest  by talk time
+ * @property {import('./report.js').CallRecord|null} first
+ * @property {import('./report.js').CallRecord|null} last
+ * @property {Object<string, number>} byHangup
+ */
+
+/**
+ * Aggregate a list of call records (usually one agent's calls).
+ * @param {import('./report.js').CallRecord[]} calls
+ * @returns {CallStats}
+ */
+export function summarizeCalls(calls) {
+  const byStatus = {};
+  const byHangup = {};
+  let talkTime = 0, duration = 0, longest = null, first = null, last = null;
+
+  for (const c of calls) {
+    byStatus[c.status] = (byStatus[c.status] || 0) + 1;
+    const side = c.hangupBy || 'Unknown';
+    byHangup[side] = (byHangup[side] || 0) + 1;
+    talkTime += c.talkTime;
+    duration += c.duration;
+    if (!longest || c.talkTime > longest.talkTime) longest = c;
+    if (!first || startedAt(c) < startedAt(first)) first = c;
+    if (!last  || startedAt(c) > startedAt(last))  last  = c;
+  }
+
+  const total    = calls.length;
+  const answered = byStatus.ANSWER || 0;
+  return {
+    total,
+    byStatus,
+    answered,
+    answerRate:  total ? (answered / total) * 100 : 0,
+    talkTime,
+    avgTalkTime: answered ? talkTime / answered : 0,
+    duration,
+    avgDuration: total ? duration / total : 0,
+    longest,
+    first,
+    last,
+    byHangup,
+  };
+}
+
+/**
+ * Seconds → “h:mm:ss” (or “m:ss” under an hour).
+ * @param {number} sec
+ * @returns {string}
+ */
+export function formatDuration(sec) {
+  const s = Math.round(sec);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const r = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${r}` : `${m}:${r}`;
+}
+
+/**
+ * HTML block with an agent's stats, as shown by chat_agent and /agent.
+ * @param {string} agent
+ * @param {string} dateStr  date or range label
+ * @param {CallStats} st
+ * @returns {string}
+ */
+export function formatAgentStats(agent, dateStr, st) {
+  // Only show the date next to first/last call when the range spans days
+  const multiDay = st.first && st.last && st.first.callDate !== st.last.callDate;
+  const when = c => (c ? (multiDay ? `${c.callDate} ${c.callTime}` : c.callTime) : '-');
+
+  const hangup = Object.entries(st.byHangup)
+    .sort((a, b) => b[1] - a[1])
+    .map(([side, n]) => `  • ${side}: ${n}`);
+
+  return [
+    `<b>Name:</b> <b>${agent}</b>`,
+    `<b>Date:</b> <b>${dateStr}</b>`,
+    `<b>Calls:</b> <b>${st.total}</b>`,
+    `<b>Answered:</b> <b>${st.answered}</b> (${st.answerRate.toFixed(1)}%)`,
+    `<b>Cancelled:</b> <b>${st.byStatus.CANCEL || 0}</b>`,
+    `<b>Busy:</b> <b>${st.byStatus.BUSY || 0}</b>`,
+    '',
+    `<b>Talk time:</b> <b>${formatDuration(st.talkTime)}</b> (avg ${formatDuration(st.avgTalkTime)} per answered call)`,
+    `<b>Duration:</b> <b>${formatDuration(st.duration)}</b> (avg ${formatDuration(st.avgDuration)} per call)`,
+    `<b>Longest call:</b> <b>${st.longest ? formatDuration(st.longest.talkTime) : '-'}</b>` +
+      (st.longest ? ` to ${st.longest.callee}` : ''),
+    `<b>First call:</b> <b>${when(st.first)}</b>`,
+    `<b>Last call:</b> <b>${when(st.last)}</b>`,
+    ...(hangup.length ? ['<b>Hung up by:</b>', ...hangup] : []),
+  ].join('\n');
+}
+
+function startedAt(c) {
+  return `${c.callDate} ${c.callTime}`;
+}
+
+/**
+ * Metrics /leaderboard can rank by. `value` reads a CallStats, `format`
+ * renders it; `aliases` are accepted on the command line.
+ */
+export const LEADERBOARD_METRICS = {
+  answered: {
+    label: 'Answered calls',
+    aliases: ['answered', 'answer', 'calls'],
+    value: st => st.answered,
+    format: v => String(v),
+  },
+  talktime: {
+    label: 'Talk time',
+    aliases: ['talktime', 'talk', 'time'],
+    value: st => st.talkTime,
+    format: formatDuration,
+  },
+  rate: {
+    label: 'Answer rate',
+    aliases: ['rate', 'answerrate', 'percent', '%'],
+    value: st => Math.round(st.answerRate * 10) / 10,
+    format: v => `${v.toFixed(1)}%`,
+  },
+};
+
+/**
+ * @param {string} word
+ * @returns {string|null} key of LEADERBOARD_METRICS
+ */
+export function findMetric(word) {
+  const w = word?.toLowerCase();
+  return Object.keys(LEADERBOARD_METRICS)
+    .find(k => LEADERBOARD_METRICS[k].aliases.includes(w)) ?? null;
+}
+
+/**
+ * Rank agents by a metric. Equal values share a rank (1, 1, 3, …); within
+ * a tie, agents are listed by answered calls, then by name.
+ * @param {import('./report.js').CallRecord[]} calls
+ * @param {string} metric key of LEADERBOARD_METRICS
+ * @returns {{rank: number, agent: string, team: string, value: number, stats: CallStats}[]}
+ */
+export function rankAgents(calls, metric) {
+  const { value } = LEADERBOARD_METRICS[metric];
+
+  const groups = new Map();
+  for (const c of calls) {
+    const key = `${c.team}|${c.agent}`;
+    if (!groups.has(key)) groups.set(key, { agent: c.agent || 'Unknown', team: c.team, calls: [] });
+    groups.get(key).calls.push(c);
+  }
+
+  const entries = [...groups.values()]
+    .map(g => {
+      const stats = summarizeCalls(g.calls);
+      return { agent: g.agent, team: g.team, value: value(stats), stats };
+    })
+    .sort((a, b) =>
+      b.value - a.value ||
+      b.stats.answered - a.stats.answered ||
+      a.agent.localeCompare(b.agent)
+    );
+
+  entries.forEach((e, i) => {
+    e.rank = i > 0 && e.value === entries[i - 1].value ? entries[i - 1].rank : i + 1;
+  });
+  return entries;
+}
+
+/**
+ * Calls per hour of the day, from each call's start time.
+ * @param {import('./report.js').CallRecord[]} calls
+ * @returns {{hour: number, total: number, answered: number}[]} 24 buckets
+ */
+export function hourlyBreakdown(calls) {
+  const buckets = Array.from({ length: 24 }, (_, hour) => ({ hour, total: 0, answered: 0 }));
+  for (const c of calls) {
+    const hour = parseInt(c.callTime, 10);
+    if (!(hour >= 0 && hour < 24)) continue;
+    buckets[hour].total++;
+    if (c.status === 'ANSWER') buckets[hour].answered++;
+  }
+  return buckets;
+}
+
+/**
+ * Text bar chart of hourly buckets, from the first to the last busy hour so
+ * idle gaps in the day stay visible. Meant for a <pre> block.
+ * @param {{hour: number, total: number, answered: number}[]} buckets
+ * @param {number} [width=20] longest bar in characters
+ * @returns {string}
+ */
+export function formatHourlyChart(buckets, width = 20) {
+  const busy = buckets.filter(b => b.total > 0);
+  if (busy.length === 0) return 'No calls.';
+
+  const max = Math.max(...busy.map(b => b.total));
+  const first = busy[0].hour;
+  const last  = busy[busy.length - 1].hour;
+  return buckets.slice(first, last + 1).map(b => {
+    const len = Math.round((b.total / max) * width);
+    const bar = b.total ? '█'.repeat(Math.max(len, 1)) : '·';
+    return `${String(b.hour).padStart(2, '0')}:00 ${bar.padEnd(width)} ${String(b.total).padStart(3)} (${b.answered} ans)`;
+  }).join('\n');
+}
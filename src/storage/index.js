@@ -0,0 +1,34 @@
+// storage/index.js
+import { createSupabaseStorage } from './supabase.js';
+import { createLocalStorage } from './local.js';
+
+/**
+ * @typedef {object} Storage
+ * @property {string} name
+ * @property {(table: string, match?: object) => Promise<{data: object[]|null, error: any}>} select
+ * @property {(table: string, row: object) => Promise<{data: any, error: any}>} upsert
+ * @property {(table: string, match: object) => Promise<{data: any, error: any}>} remove
+ */
+
+/**
+ * Build the backend named by STORAGE_BACKEND:
+ *  - `supabase` (default) — SUPABASE_URL / SUPABASE_KEY
+ *  - `file` — JSON file at STORAGE_FILE (default `.bot_state.json`)
+ *  - `memory` — nothing persisted, for tests and sandboxes
+ * @returns {Promise<Storage>}
+ */
+export async function createStorage() {
+  const backend = (process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+  switch (backend) {
+    case 'supabase':
+      return createSupabaseStorage();
+    case 'file':
+      return createLocalStorage(process.env.STORAGE_FILE || '.bot_state.json');
+    case 'memory':
+      return createLocalStorage(null);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use supabase, file or memory)`);
+  }
+}
+
+export const storage = await createStorage();
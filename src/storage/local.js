@@ -0,0 +1,83 @@
+// storage/local.js
+import { promises as fs } from 'fs';
+import { TABLE_KEYS } from './tables.js';
+
+// Index of a row within its table (composite keys joined)
+function keyOf(table, row) {
+  return [].concat(TABLE_KEYS[table]).map(col => row[col]).join('|');
+}
+
+/**
+ * Storage adapter keeping every table in one JSON file, or only in memory
+ * when `file` is null. Meant for self-hosting and local development.
+ * @param {string|null} file
+ * @returns {Promise<import('./index.js').Storage>}
+ */
+export async function createLocalStorage(file) {
+  let db = {};
+  if (file) {
+    try {
+      db = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    // Re-index, in case a table's key changed since the file was written
+    for (const table of Object.keys(db)) {
+      if (!TABLE_KEYS[table]) continue;
+      db[table] = Object.fromEntries(Object.values(db[table]).map(r => [keyOf(table, r), r]));
+    }
+  }
+
+  // Serialise writes so concurrent updates never interleave on disk
+  let writing = Promise.resolve();
+  const persist = () => {
+    if (!file) return writing;
+    writing = writing.then(async () => {
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(db), 'utf8');
+      await fs.rename(tmp, file);
+    });
+    return writing;
+  };
+
+  const matches = (row, match) =>
+    Object.entries(match).every(([col, val]) => String(row[col]) === String(val));
+
+  const rowsOf = table => Object.values(db[table] ?? {});
+
+  const result = async fn => {
+    try {
+      return { data: await fn(), error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  };
+
+  return {
+    name: file ? 'file' : 'memory',
+
+    select(table, match = {}) {
+      return result(() => rowsOf(table).filter(r => matches(r, match)).map(r => ({ ...r })));
+    },
+
+    upsert(table, row) {
+      return result(async () => {
+        const key = keyOf(table, row);
+        db[table] = db[table] ?? {};
+        db[table][key] = { ...db[table][key], ...row };
+        await persist();
+        return null;
+      });
+    },
+
+    remove(table, match) {
+      return result(async () => {
+        for (const [key, row] of Object.entries(db[table] ?? {})) {
+          if (matches(row, match)) delete db[table][key];
+        }
+        await persist();
+        return null;
+      });
+    },
+  };
+}
@@ -0,0 +1,31 @@
+// storage/supabase.js
+import { TABLE_KEYS } from './tables.js';
+
+/**
+ * Storage adapter backed by the Supabase project in SUPABASE_URL/SUPABASE_KEY.
+ * The client module is imported lazily so other backends never need it.
+ * Create or update its tables with supabase/schema.sql.
+ * @returns {Promise<import('./index.js').Storage>}
+ */
+export async function createSupabaseStorage() {
+  const { supabase } = await import('../supabase.js');
+
+  const where = (query, match) =>
+    Object.entries(match).reduce((q, [col, val]) => q.eq(col, val), query);
+
+  return {
+    name: 'supabase',
+
+    async select(table, match = {}) {
+      return where(supabase.from(table).select('*'), match);
+    },
+
+    async upsert(table, row) {
+      return supabase.from(table).upsert(row, { onConflict: [].concat(TABLE_KEYS[table]).join(',') });
+    },
+
+    async remove(table, match) {
+      return where(supabase.from(table).delete(), match);
+    },
+  };
+}
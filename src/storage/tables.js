@@ -0,0 +1,20 @@
+// storage/tables.js
+
+/**
+ * Primary key of every table the bot persists: one column, or several for a
+ * composite key. Ids that users type (accounts, jobs, rules) are short, so
+ * they are only unique per user and keyed together with `telegram_id`.
+ * Keep in step with supabase/schema.sql.
+ */
+export const TABLE_KEYS = {
+  user_tokens:      'telegram_id',
+  flyfone_creds:    'telegram_id', // single-login rows, adopted into flyfone_accounts
+  flyfone_accounts: ['telegram_id', 'id'],
+  sessions:         'telegram_id',
+  sheet_map:        'telegram_id',
+  cookies:          ['telegram_id', 'id'], // one jar per Flyfone account
+  group_links:      'telegram_id',
+  schedules:        ['telegram_id', 'id'],
+  kpi_rules:        ['telegram_id', 'id'],
+  oauth_nonces:     'id',
+};
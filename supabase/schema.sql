@@ -0,0 +1,93 @@
+-- supabase/schema.sql
+-- Tables used by the Supabase storage backend (see src/storage/tables.js for
+-- their keys). Safe to re-run: paste it into the SQL editor after every
+-- upgrade and it only adds what is missing.
+
+create table if not exists user_tokens (
+  telegram_id   bigint primary key,
+  refresh_token text
+);
+
+-- Flyfone login; `pass` is encrypted (see encryption.js)
+create table if not exists flyfone_creds (
+  telegram_id bigint primary key,
+  email       text,
+  pass        text
+);
+
+create table if not exists sessions (
+  telegram_id  bigint primary key,
+  session_json text
+);
+
+create table if not exists sheet_map (
+  telegram_id bigint primary key,
+  sheet_id    text
+);
+
+create table if not exists cookies (
+  telegram_id bigint primary key,
+  cookie_json text
+);
+
+create table if not exists schedules (
+  telegram_id bigint not null,
+  id          text   not null,
+  job_json    text,
+  primary key (telegram_id, id)
+);
+
+-- single, date, team or month (see gsheets.js tabNameFor)
+alter table sheet_map add column if not exists tab_strategy text;
+
+-- Also write the Hourly tab on every export
+alter table sheet_map add column if not exists hourly_tab boolean default false;
+
+create table if not exists kpi_rules (
+  telegram_id bigint not null,
+  id          text   not null,
+  rule_json   text,
+  primary key (telegram_id, id)
+);
+
+-- Group chat → the admin whose Flyfone account and sheets it uses
+create table if not exists group_links (
+  telegram_id bigint primary key,
+  owner_id    bigint not null
+);
+
+-- Several Flyfone logins per user; `pass` is encrypted (see encryption.js)
+create table if not exists flyfone_accounts (
+  telegram_id bigint  not null,
+  id          text    not null,
+  name        text,
+  email       text,
+  pass        text,
+  active      boolean default false,
+  added_at    text,
+  primary key (telegram_id, id)
+);
+
+-- One cookie jar per Flyfone account instead of per user. Jars saved before
+-- that have no account id; they are dropped and the next login makes new ones.
+alter table cookies add column if not exists id text;
+do $$
+begin
+  if not exists (
+    select 1 from pg_constraint
+    where conrelid = 'cookies'::regclass and contype = 'p' and cardinality(conkey) = 2
+  ) then
+    delete from cookies where id is null;
+    alter table cookies drop constraint if exists cookies_pkey;
+    alter table cookies add primary key (telegram_id, id);
+  end if;
+end $$;
+
+-- Team (lower-cased) → spreadsheet id, as JSON; teams not listed use sheet_id
+alter table sheet_map add column if not exists team_sheets_json text;
+
+-- Nonce of the newest OAuth state issued to each user, deleted once used
+create table if not exists oauth_nonces (
+  id          text   primary key,
+  telegram_id bigint not null
+);